@@ -0,0 +1,28 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+function createEmitter() {
+  const listeners = {};
+
+  return {
+    on(event, listener) {
+      (listeners[event] = listeners[event] || []).push(listener);
+    },
+    off(event, listener) {
+      listeners[event] = (listeners[event] || []).filter((l) => l !== listener);
+    },
+    emit(event, payload) {
+      (listeners[event] || []).forEach((listener) => {
+        try {
+          listener(payload);
+        } catch (err) {
+          console.error(err);
+        }
+      });
+    },
+  };
+}
+
+module.exports = {
+  createEmitter,
+};
@@ -0,0 +1,338 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+const { createEmitter } = require("./events");
+const { getPlace, searchSuggestions, searchText } = require("./search");
+let maplibregl;
+let mapboxgl;
+
+try {
+  maplibregl = require("maplibre-gl");
+} catch {}
+try {
+  mapboxgl = require("mapbox-gl");
+} catch {}
+
+const CLASS_NAME = "amazon-location-geocoder";
+
+function createElement(tagName, className, style = {}) {
+  const element = document.createElement(tagName);
+
+  element.className = className;
+  Object.assign(element.style, style);
+
+  return element;
+}
+
+function createGeocoderControl(
+  client,
+  {
+    IndexName,
+    placeholder = "Search",
+    debounce = 250,
+    minLength = 3,
+    maxResults = 5,
+    biasToMapCenter = true,
+    bbox,
+    countries,
+    language,
+    marker = true,
+    flyTo = true,
+    zoom = 14,
+  },
+  mapgl
+) {
+  if (IndexName == null) {
+    throw new Error("An IndexName is required to search with.");
+  }
+
+  const emitter = createEmitter();
+  let map;
+  let container;
+  let input;
+  let list;
+  let resultMarker;
+  let timeout;
+  let suggestions = [];
+  let active = -1;
+  // responses may arrive out of order; only the latest is shown
+  let requestId = 0;
+
+  mapgl = mapgl || maplibregl || mapboxgl;
+
+  function getSearchInput(Text) {
+    const searchInput = {
+      IndexName,
+      Text,
+      FilterCountries: countries,
+      Language: language,
+    };
+
+    // FilterBBox and BiasPosition are mutually exclusive
+    if (bbox != null) {
+      searchInput.FilterBBox = bbox;
+    } else if (biasToMapCenter) {
+      searchInput.BiasPosition = map.getCenter().toArray();
+    }
+
+    return searchInput;
+  }
+
+  function render() {
+    list.innerHTML = "";
+    list.style.display = suggestions.length > 0 ? "block" : "none";
+    input.setAttribute("aria-expanded", String(suggestions.length > 0));
+
+    suggestions.forEach((suggestion, i) => {
+      const item = createElement("li", `${CLASS_NAME}-suggestion`, {
+        padding: "6px 10px",
+        cursor: "pointer",
+        background: i === active ? "#eee" : "",
+      });
+
+      item.id = `${CLASS_NAME}-suggestion-${i}`;
+      item.setAttribute("role", "option");
+      item.setAttribute("aria-selected", String(i === active));
+      item.textContent = suggestion.properties.label;
+
+      // mousedown fires before the input loses focus (and hides the list)
+      item.addEventListener("mousedown", (e) => {
+        e.preventDefault();
+        select(suggestion);
+      });
+
+      list.appendChild(item);
+    });
+
+    if (active >= 0) {
+      input.setAttribute(
+        "aria-activedescendant",
+        `${CLASS_NAME}-suggestion-${active}`
+      );
+    } else {
+      input.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  function setSuggestions(features) {
+    suggestions = features;
+    active = -1;
+    render();
+  }
+
+  async function suggest(text) {
+    const id = ++requestId;
+
+    try {
+      const { features } = await searchSuggestions(client, {
+        ...getSearchInput(text),
+        MaxResults: maxResults,
+      });
+
+      if (id === requestId) {
+        setSuggestions(features);
+      }
+    } catch (error) {
+      emitter.emit("error", { error });
+    }
+  }
+
+  async function resolve(suggestion) {
+    if (suggestion.properties.placeId != null) {
+      return getPlace(client, {
+        IndexName,
+        PlaceId: suggestion.properties.placeId,
+        Language: language,
+      });
+    }
+
+    // suggestions for queries (e.g. "coffee near me") don't identify places
+    const { features } = await searchText(client, {
+      ...getSearchInput(suggestion.properties.label),
+      MaxResults: 1,
+    });
+
+    return features[0];
+  }
+
+  async function select(suggestion) {
+    // ignore pending suggestions
+    const id = ++requestId;
+    clearTimeout(timeout);
+
+    input.value = suggestion.properties.label;
+    setSuggestions([]);
+
+    let feature;
+
+    try {
+      feature = await resolve(suggestion);
+    } catch (error) {
+      emitter.emit("error", { error });
+      return;
+    }
+
+    // another suggestion was selected (or the control was removed) in the meantime
+    if (id !== requestId || map == null) {
+      return;
+    }
+
+    if (feature == null || feature.geometry == null) {
+      return;
+    }
+
+    const center = feature.geometry.coordinates;
+
+    if (marker) {
+      if (resultMarker != null) {
+        resultMarker.remove();
+      }
+
+      resultMarker = new mapgl.Marker(marker === true ? {} : marker)
+        .setLngLat(center)
+        .addTo(map);
+    }
+
+    if (flyTo) {
+      map.flyTo({ center, zoom });
+    }
+
+    emitter.emit("result", { feature });
+  }
+
+  function clear() {
+    requestId++;
+    clearTimeout(timeout);
+    input.value = "";
+    setSuggestions([]);
+
+    if (resultMarker != null) {
+      resultMarker.remove();
+      resultMarker = null;
+    }
+
+    emitter.emit("clear");
+  }
+
+  function onInput() {
+    const text = input.value.trim();
+
+    clearTimeout(timeout);
+
+    if (text.length < minLength) {
+      requestId++;
+      setSuggestions([]);
+      return;
+    }
+
+    timeout = setTimeout(() => suggest(text), debounce);
+  }
+
+  function onKeyDown(e) {
+    switch (e.key) {
+      case "ArrowDown":
+      case "ArrowUp":
+        if (suggestions.length > 0) {
+          e.preventDefault();
+
+          // wrap around at either end
+          active =
+            (active + (e.key === "ArrowDown" ? 1 : -1) + suggestions.length) %
+            suggestions.length;
+          render();
+        }
+        break;
+
+      case "Enter":
+        if (suggestions.length > 0) {
+          e.preventDefault();
+          select(suggestions[Math.max(active, 0)]);
+        }
+        break;
+
+      case "Escape":
+        if (suggestions.length > 0) {
+          setSuggestions([]);
+        } else {
+          clear();
+        }
+        break;
+
+      default:
+    }
+  }
+
+  return {
+    onAdd(addedMap) {
+      map = addedMap;
+      container = createElement(
+        "div",
+        `maplibregl-ctrl mapboxgl-ctrl ${CLASS_NAME}`,
+        {
+          position: "relative",
+          width: "240px",
+          background: "#fff",
+          borderRadius: "4px",
+          boxShadow: "0 0 0 2px rgba(0, 0, 0, 0.1)",
+        }
+      );
+      input = createElement("input", `${CLASS_NAME}-input`, {
+        width: "100%",
+        boxSizing: "border-box",
+        padding: "6px 10px",
+        border: "none",
+        borderRadius: "4px",
+        font: "inherit",
+      });
+      list = createElement("ul", `${CLASS_NAME}-suggestions`, {
+        display: "none",
+        position: "absolute",
+        left: "0",
+        right: "0",
+        margin: "2px 0 0",
+        padding: "0",
+        listStyle: "none",
+        background: "#fff",
+        borderRadius: "4px",
+        boxShadow: "0 0 0 2px rgba(0, 0, 0, 0.1)",
+      });
+
+      input.type = "search";
+      input.placeholder = placeholder;
+      input.setAttribute("role", "combobox");
+      input.setAttribute("aria-autocomplete", "list");
+      input.setAttribute("aria-expanded", "false");
+      input.addEventListener("input", onInput);
+      input.addEventListener("keydown", onKeyDown);
+      input.addEventListener("blur", () => setSuggestions([]));
+      list.setAttribute("role", "listbox");
+
+      container.appendChild(input);
+      container.appendChild(list);
+
+      return container;
+    },
+    onRemove() {
+      requestId++;
+      clearTimeout(timeout);
+      container.remove();
+
+      if (resultMarker != null) {
+        resultMarker.remove();
+        resultMarker = null;
+      }
+
+      map = null;
+    },
+    getDefaultPosition() {
+      return "top-right";
+    },
+    on: emitter.on,
+    off: emitter.off,
+    clear,
+  };
+}
+
+module.exports = {
+  createGeocoderControl,
+};
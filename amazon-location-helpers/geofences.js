@@ -0,0 +1,249 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+const {
+  BatchPutGeofenceCommand,
+  ListGeofencesCommand,
+  PutGeofenceCommand,
+} = require("@aws-sdk/client-location");
+
+// BatchPutGeofence accepts up to 10 geofences at a time
+const BATCH_SIZE = 10;
+const MAX_VERTICES = 1000;
+
+function toISOString(date) {
+  return date == null ? undefined : new Date(date).toISOString();
+}
+
+function toFeature({
+  GeofenceId,
+  Geometry,
+  Status,
+  CreateTime,
+  UpdateTime,
+  GeofenceProperties,
+}) {
+  const properties = {
+    geofenceId: GeofenceId,
+    status: Status,
+    createTime: toISOString(CreateTime),
+    updateTime: toISOString(UpdateTime),
+    geofenceProperties: GeofenceProperties,
+  };
+
+  // GeoJSON has no circles, so they're represented as Points with a radius (in meters)
+  if (Geometry.Circle != null) {
+    return {
+      type: "Feature",
+      id: GeofenceId,
+      geometry: {
+        type: "Point",
+        coordinates: Geometry.Circle.Center,
+      },
+      properties: {
+        ...properties,
+        radius: Geometry.Circle.Radius,
+      },
+    };
+  }
+
+  return {
+    type: "Feature",
+    id: GeofenceId,
+    geometry: {
+      type: "Polygon",
+      coordinates: Geometry.Polygon,
+    },
+    properties,
+  };
+}
+
+function validatePosition(geofenceId, position) {
+  if (
+    !Array.isArray(position) ||
+    position.length !== 2 ||
+    !position.every(Number.isFinite)
+  ) {
+    const value = JSON.stringify(position);
+
+    throw new Error(
+      `Geofence ${geofenceId} has an invalid [longitude, latitude] position: ${value}`
+    );
+  }
+}
+
+// twice the signed area of a ring; positive when it's wound counter-clockwise
+function signedArea(ring) {
+  let area = 0;
+
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+
+  return area;
+}
+
+function validateRing(geofenceId, ring, exterior) {
+  if (!Array.isArray(ring) || ring.length < 4) {
+    throw new Error(
+      `Geofence ${geofenceId} has a ring with fewer than 4 positions.`
+    );
+  }
+
+  ring.forEach((position) => validatePosition(geofenceId, position));
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    throw new Error(
+      `Geofence ${geofenceId} has a ring that isn't closed (its first and last positions differ).`
+    );
+  }
+
+  // Amazon Location requires counter-clockwise exterior rings and clockwise interior rings
+  const area = signedArea(ring);
+
+  if (area === 0) {
+    throw new Error(`Geofence ${geofenceId} has a ring with no area.`);
+  }
+
+  if (exterior && area < 0) {
+    throw new Error(
+      `Geofence ${geofenceId} has an exterior ring wound clockwise; it must be counter-clockwise.`
+    );
+  }
+
+  if (!exterior && area > 0) {
+    throw new Error(
+      `Geofence ${geofenceId} has an interior ring wound counter-clockwise; it must be clockwise.`
+    );
+  }
+}
+
+function toGeofenceGeometry(geofenceId, { type, coordinates }, radius) {
+  if (type === "Point") {
+    validatePosition(geofenceId, coordinates);
+
+    if (!(Number.isFinite(radius) && radius > 0)) {
+      throw new Error(
+        `Geofence ${geofenceId} is a Point, so it requires a positive radius property: ${radius}`
+      );
+    }
+
+    return {
+      Circle: {
+        Center: coordinates,
+        Radius: radius,
+      },
+    };
+  }
+
+  if (type === "Polygon") {
+    if (!Array.isArray(coordinates) || coordinates.length === 0) {
+      throw new Error(`Geofence ${geofenceId} has no rings.`);
+    }
+
+    coordinates.forEach((ring, i) => validateRing(geofenceId, ring, i === 0));
+
+    const vertices = coordinates.reduce((sum, ring) => sum + ring.length, 0);
+
+    if (vertices > MAX_VERTICES) {
+      throw new Error(
+        `Geofence ${geofenceId} has ${vertices} vertices; at most ${MAX_VERTICES} are allowed.`
+      );
+    }
+
+    return {
+      Polygon: coordinates,
+    };
+  }
+
+  throw new Error(
+    `Geofence ${geofenceId} must be a Polygon or a Point (circle): ${type}`
+  );
+}
+
+function toGeofence({ id, geometry, properties = {} }) {
+  const geofenceId = id != null ? id : properties.geofenceId;
+
+  if (geofenceId == null) {
+    throw new Error(
+      "Geofences require an id (or a geofenceId property) to be identified by."
+    );
+  }
+
+  if (geometry == null) {
+    throw new Error(`Geofence ${geofenceId} has no geometry.`);
+  }
+
+  const geofence = {
+    GeofenceId: String(geofenceId),
+    Geometry: toGeofenceGeometry(geofenceId, geometry, properties.radius),
+  };
+
+  if (properties.geofenceProperties != null) {
+    geofence.GeofenceProperties = properties.geofenceProperties;
+  }
+
+  return geofence;
+}
+
+async function listGeofences(client, input) {
+  const features = [];
+  let NextToken;
+
+  do {
+    const response = await client.send(
+      new ListGeofencesCommand({ ...input, NextToken })
+    );
+
+    features.push(...response.Entries.map(toFeature));
+
+    NextToken = response.NextToken;
+  } while (NextToken != null);
+
+  return {
+    type: "FeatureCollection",
+    features,
+  };
+}
+
+async function putGeofence(client, CollectionName, feature) {
+  return client.send(
+    new PutGeofenceCommand({
+      CollectionName,
+      ...toGeofence(feature),
+    })
+  );
+}
+
+async function batchPutGeofences(client, CollectionName, { features }) {
+  // validate everything before making any changes
+  const entries = features.map(toGeofence);
+  const Successes = [];
+  const Errors = [];
+
+  for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+    const response = await client.send(
+      new BatchPutGeofenceCommand({
+        CollectionName,
+        Entries: entries.slice(i, i + BATCH_SIZE),
+      })
+    );
+
+    Successes.push(...response.Successes);
+    Errors.push(...response.Errors);
+  }
+
+  return {
+    Successes,
+    Errors,
+  };
+}
+
+module.exports = {
+  batchPutGeofences,
+  listGeofences,
+  putGeofence,
+};
@@ -1,25 +1,419 @@
 // Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
 
-import { Credentials } from "@aws-sdk/types";
+import {
+  BatchPutGeofenceResponse,
+  CalculateRouteRequest,
+  DevicePosition,
+  GetDevicePositionHistoryRequest,
+  ListDevicePositionsRequest,
+  ListDevicePositionsResponseEntry,
+  ListGeofencesRequest,
+  LocationClient,
+  LocationClientConfig,
+  PutGeofenceResponse,
+  SearchPlaceIndexForPositionRequest,
+  SearchPlaceIndexForSuggestionsRequest,
+  SearchPlaceIndexForTextRequest,
+} from "@aws-sdk/client-location";
+import { Credentials, Provider } from "@aws-sdk/types";
+import {
+  Feature,
+  FeatureCollection,
+  LineString,
+  Point,
+  Polygon,
+  Position,
+} from "geojson";
 import mapboxgl from "maplibre-gl";
 
 interface Config {
+  apiKey?: string;
   credentials?: Credentials;
+  credentialProvider?: Provider<Credentials>;
   identityPoolId?: string;
   region?: string;
+  endpoint?: string;
+  maps?: Record<string, string | { region?: string; endpoint?: string }>;
+  colorScheme?: string;
+  politicalView?: string;
+  signedUrlCacheTTL?: number;
+  signedUrlCacheSize?: number;
+  protocol?: boolean;
+  protocolOptions?: ProtocolOptions;
+  onRequest?: (event: RequestEvent) => void;
+  onResponse?: (event: ResponseEvent) => void;
+  refreshMargin?: number;
+  retryBaseDelay?: number;
+  retryMaxDelay?: number;
 }
 
+type LayerMatcher =
+  | string
+  | RegExp
+  | (string | RegExp)[]
+  | ((layer: mapboxgl.AnyLayer) => boolean);
+
+type StylePatch =
+  | { type: "hide" | "show"; layers?: LayerMatcher }
+  | {
+      type: "paint" | "layout";
+      layers?: LayerMatcher;
+      property: string;
+      value: any;
+    }
+  | ({
+      type: "language";
+      layers?: LayerMatcher;
+      language: string;
+    } & LocalizationOptions);
+
+interface LocalizationOptions {
+  fallbacks?: string[];
+  nameFields?: string[];
+}
+
+type StyleTransformer = (style: mapboxgl.Style) => mapboxgl.Style | void;
+
+interface MapConfig extends Config {
+  stylePatches?: StylePatch[];
+  transformStyle?: StyleTransformer;
+}
+
+type UsageCategory = "style" | "tile" | "glyph" | "sprite" | "api";
+
+interface RequestEvent {
+  category: UsageCategory;
+  url?: string;
+  resourceType?: string;
+  operation?: string;
+}
+
+interface ResponseEvent {
+  category: UsageCategory;
+  url?: string;
+  operation?: string;
+  status?: number;
+  ok: boolean;
+  duration: number;
+}
+
+interface UsageSummary {
+  requests: Record<UsageCategory, number>;
+  errors: Record<UsageCategory, number>;
+  total: number;
+}
+
+interface ProtocolOptions {
+  maxRetries?: number;
+  retryBaseDelay?: number;
+  retryMaxDelay?: number;
+}
+
+interface PlaceProperties {
+  placeId?: string;
+  label?: string;
+  addressNumber?: string;
+  street?: string;
+  unitType?: string;
+  unitNumber?: string;
+  neighborhood?: string;
+  subMunicipality?: string;
+  municipality?: string;
+  subRegion?: string;
+  region?: string;
+  country?: string;
+  postalCode?: string;
+  interpolated?: boolean;
+  timeZone?: string;
+  categories: string[];
+  supplementalCategories: string[];
+  relevance?: number;
+  distance?: number;
+}
+
+interface GeocoderOptions {
+  IndexName: string;
+  placeholder?: string;
+  debounce?: number;
+  minLength?: number;
+  maxResults?: number;
+  biasToMapCenter?: boolean;
+  bbox?: [number, number, number, number];
+  countries?: string[];
+  language?: string;
+  marker?: boolean | mapboxgl.MarkerOptions;
+  flyTo?: boolean;
+  zoom?: number;
+}
+
+interface GeocoderControl extends mapboxgl.IControl {
+  on(
+    event: "result",
+    listener: (event: { feature: Feature<Point, PlaceProperties> }) => void
+  ): void;
+  on(event: "error", listener: (event: { error: Error }) => void): void;
+  on(event: "clear", listener: () => void): void;
+  off(
+    event: "result" | "error" | "clear",
+    listener: (event: any) => void
+  ): void;
+  clear(): void;
+}
+
+interface RouteRequest
+  extends Omit<
+    CalculateRouteRequest,
+    "DeparturePosition" | "DestinationPosition" | "WaypointPositions"
+  > {
+  Waypoints: Position[];
+}
+
+interface LegProperties {
+  type: "leg";
+  legIndex: number;
+  distance: number;
+  duration: number;
+}
+
+interface StepProperties {
+  type: "step";
+  legIndex: number;
+  stepIndex: number;
+  endPosition: Position;
+  distance: number;
+  duration: number;
+  geometryOffset?: number;
+}
+
+interface Route
+  extends FeatureCollection<
+    LineString | Point,
+    LegProperties | StepProperties
+  > {
+  summary: {
+    distance: number;
+    duration: number;
+    distanceUnit: string;
+    dataSource: string;
+  };
+}
+
+interface DevicePositionProperties {
+  deviceId?: string;
+  sampleTime?: string;
+  receivedTime?: string;
+  accuracy?: { Horizontal: number };
+  positionProperties?: Record<string, string>;
+}
+
+interface DeviceTrackProperties {
+  deviceId?: string;
+  sampleTimes: string[];
+  accuracies: ({ Horizontal: number } | undefined)[];
+  positionProperties: (Record<string, string> | undefined)[];
+}
+
+interface GeofenceProperties {
+  geofenceId?: string;
+  status?: string;
+  createTime?: string;
+  updateTime?: string;
+  geofenceProperties?: Record<string, string>;
+  // circle radius (in meters); only for Points
+  radius?: number;
+}
+
+type GeofenceFeature = Feature<Polygon | Point, GeofenceProperties>;
+
+interface RefreshEvent {
+  credentials: Credentials;
+}
+
+interface RefreshErrorEvent {
+  error: Error;
+  attempt: number;
+  retryIn: number;
+}
+
+interface CacheStats {
+  hits: number;
+  misses: number;
+  size: number;
+}
+
+interface RequestTransformer extends mapboxgl.TransformRequestFunction {
+  on(event: "refresh", listener: (event: RefreshEvent) => void): void;
+  on(event: "error", listener: (event: RefreshErrorEvent) => void): void;
+  off(event: "refresh" | "error", listener: (event: any) => void): void;
+  dispose(): void;
+  getCacheStats(): CacheStats;
+  authorize(url: string, options?: { skipCache?: boolean }): string;
+  refreshCredentials(): Promise<void>;
+  toHttpUrl(url: string): string;
+  getCredentials(): Credentials | undefined;
+  region: string;
+}
+
+export function batchPutGeofences(
+  client: LocationClient,
+  collectionName: string,
+  geofences: FeatureCollection<Polygon | Point, GeofenceProperties>
+): Promise<Pick<BatchPutGeofenceResponse, "Successes" | "Errors">>;
+
+export function calculateRoute(
+  client: LocationClient,
+  input: RouteRequest
+): Promise<Route>;
+
+export function createGeocoderControl(
+  client: LocationClient,
+  options: GeocoderOptions,
+  mapgl?: typeof mapboxgl
+): GeocoderControl;
+
+export function createLeafletLayer(
+  config: MapConfig,
+  options: { style: string | mapboxgl.Style; [option: string]: any },
+  leaflet?: any,
+  mapgl?: typeof mapboxgl
+): Promise<any & { dispose(): void }>;
+
+export function createLocationClient(
+  config: Config & { transformRequest?: RequestTransformer },
+  clientConfig?: LocationClientConfig
+): Promise<LocationClient>;
+
 export function createMap(
-  config: Config,
+  config: MapConfig,
   options: mapboxgl.MapboxOptions,
   mapgl?: typeof mapboxgl
 ): Promise<mapboxgl.Map>;
 
+export function createOpenLayersSource(
+  config: MapConfig,
+  options: {
+    style: string | mapboxgl.Style;
+    source?: string;
+    [option: string]: any;
+  },
+  ol?: any
+): Promise<
+  any & {
+    style: mapboxgl.Style;
+    transformRequest: RequestTransformer;
+    dispose(): void;
+  }
+>;
+
+export function createProtocolHandler(
+  transformRequest: RequestTransformer,
+  options?: ProtocolOptions
+): (
+  params: { url: string; type?: "json" | "string" | "arrayBuffer" | "image" },
+  callback: (
+    err?: Error | null,
+    data?: any,
+    cacheControl?: string | null,
+    expires?: string | null
+  ) => void
+) => { cancel: () => void };
+
 export function createRequestTransformer(
   config: Config
-): Promise<mapboxgl.TransformRequestFunction>;
+): Promise<RequestTransformer>;
+
+export function devicePositionsToGeoJSON(
+  devicePositions:
+    | Iterable<DevicePosition | ListDevicePositionsResponseEntry>
+    | AsyncIterable<DevicePosition | ListDevicePositionsResponseEntry>,
+  options?: { geometry?: "Point" | "LineString" }
+): Promise<
+  FeatureCollection<
+    Point | LineString,
+    DevicePositionProperties | DeviceTrackProperties
+  >
+>;
+
+export function fetchStyleDescriptor(
+  transformRequest: RequestTransformer,
+  style: string
+): Promise<mapboxgl.Style>;
+
+export function getAttribution(
+  transformRequest: RequestTransformer,
+  style: string | mapboxgl.Style
+): Promise<{ html: string; text: string }>;
 
 export function getCredentialsForIdentityPool(
   identity: string
 ): Promise<Credentials>;
+
+export function getDevicePositionHistory(
+  client: LocationClient,
+  input: GetDevicePositionHistoryRequest
+): AsyncGenerator<DevicePosition>;
+
+export function getUsageSummary(
+  target: RequestTransformer | mapboxgl.Map | LocationClient
+): UsageSummary;
+
+export function listDevicePositions(
+  client: LocationClient,
+  input: ListDevicePositionsRequest
+): AsyncGenerator<ListDevicePositionsResponseEntry>;
+
+export function listGeofences(
+  client: LocationClient,
+  input: ListGeofencesRequest
+): Promise<FeatureCollection<Polygon | Point, GeofenceProperties>>;
+
+export function localizeStyle(
+  style: mapboxgl.Style,
+  language: string,
+  options?: LocalizationOptions
+): mapboxgl.Style;
+
+export function localizeTextField(
+  textField: mapboxgl.Expression | string,
+  language: string | null,
+  options?: LocalizationOptions
+): mapboxgl.Expression | string;
+
+export function patchStyle(
+  style: mapboxgl.Style,
+  patches?: StylePatch[],
+  transformStyle?: StyleTransformer
+): mapboxgl.Style;
+
+export function putGeofence(
+  client: LocationClient,
+  collectionName: string,
+  geofence: GeofenceFeature
+): Promise<PutGeofenceResponse>;
+
+export function resetUsage(
+  target: RequestTransformer | mapboxgl.Map | LocationClient
+): void;
+
+export function searchPosition(
+  client: LocationClient,
+  input: SearchPlaceIndexForPositionRequest
+): Promise<FeatureCollection<Point, PlaceProperties>>;
+
+export function searchSuggestions(
+  client: LocationClient,
+  input: SearchPlaceIndexForSuggestionsRequest,
+  options?: { resolve?: boolean }
+): Promise<FeatureCollection<Point | null, PlaceProperties>>;
+
+export function searchText(
+  client: LocationClient,
+  input: SearchPlaceIndexForTextRequest
+): Promise<FeatureCollection<Point, PlaceProperties>>;
+
+export function setMapLanguage(
+  map: mapboxgl.Map,
+  language: string | null,
+  options?: LocalizationOptions
+): void;
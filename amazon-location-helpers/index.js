@@ -6,6 +6,32 @@ const {
   fromCognitoIdentityPool,
 } = require("@aws-sdk/credential-provider-cognito-identity");
 const { CognitoIdentityClient } = require("@aws-sdk/client-cognito-identity");
+const { LocationClient } = require("@aws-sdk/client-location");
+const { createEmitter } = require("./events");
+const { createGeocoderControl } = require("./geocoder");
+const {
+  batchPutGeofences,
+  listGeofences,
+  putGeofence,
+} = require("./geofences");
+const {
+  localizeStyle,
+  localizeTextField,
+  setMapLanguage,
+} = require("./localization");
+const { calculateRoute } = require("./routing");
+const { searchPosition, searchSuggestions, searchText } = require("./search");
+const {
+  fetchResource,
+  fetchStyleDescriptor,
+  getAttribution,
+  patchStyle,
+} = require("./style");
+const {
+  devicePositionsToGeoJSON,
+  getDevicePositionHistory,
+  listDevicePositions,
+} = require("./tracking");
 let maplibregl;
 let mapboxgl;
 
@@ -17,19 +43,188 @@ try {
 } catch {}
 
 function validateCredentials(credentials) {
-  const { accessKeyId, secretAccessKey } = credentials;
+  const { accessKeyId, secretAccessKey } = credentials || {};
 
   if (!accessKeyId || !secretAccessKey) {
     throw new Error("Valid credentials are required to fetch map resources.");
   }
 }
 
+function validateCredentialProvider(credentialProvider) {
+  if (typeof credentialProvider !== "function") {
+    throw new Error(
+      "A credential provider must be a function that resolves to credentials."
+    );
+  }
+}
+
+function validateApiKey(apiKey) {
+  if (typeof apiKey !== "string" || apiKey.trim() === "") {
+    throw new Error("A valid API key is required to fetch map resources.");
+  }
+}
+
+function validateEndpoint(endpoint) {
+  if (!/^https?:\/\/[^/]+/.test(endpoint)) {
+    throw new Error(`Endpoint must be an http(s) URL: ${endpoint}`);
+  }
+}
+
 function validateRegion(region) {
   if (!region) {
     throw new Error("A valid region is required to fetch map resources.");
   }
 }
 
+// services that accept API keys in place of SigV4 signatures
+const API_KEY_SERVICES = ["maps", "places", "routes"];
+
+// resource types whose URLs may be provided relative to a Map resource, e.g.
+// `explore.map/tiles/{z}/{x}/{y}`
+const MAP_RESOURCE_TYPES = [
+  "Source",
+  "Tile",
+  "Glyphs",
+  "SpriteImage",
+  "SpriteJSON",
+];
+
+// custom protocol that can be registered with maplibregl.addProtocol
+const PROTOCOL = "amazon-location";
+// HTTP status codes worth retrying
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_PROTOCOL_RETRY_BASE_DELAY = 250;
+const DEFAULT_PROTOCOL_RETRY_MAX_DELAY = 10 * 1000;
+
+// categories that requests are counted in, by MapLibre resource type
+const RESOURCE_CATEGORIES = {
+  Style: "style",
+  Source: "tile",
+  Tile: "tile",
+  Glyphs: "glyph",
+  SpriteImage: "sprite",
+  SpriteJSON: "sprite",
+};
+const USAGE_CATEGORIES = ["style", "tile", "glyph", "sprite", "api"];
+
+// usage trackers for transformers, maps (and layers and sources), and clients
+const usageTrackers = new WeakMap();
+
+// protocol URLs identify the transformer that authorizes them, e.g. amazon-location://1/maps.geo...
+const PROTOCOL_URL = new RegExp(`^${PROTOCOL}://(\\d+)/`);
+const protocolIds = new WeakMap();
+let nextProtocolId = 1;
+// protocol handlers (by transformer id) used by maps and layers on this page
+const protocolHandlers = new Map();
+// number of maps and layers using the (shared) protocol handler, by MapLibre instance
+const protocolRegistrations = new WeakMap();
+
+// prefix identifying (v2) style names, e.g. `styles/Standard`
+const STYLE_PREFIX = "styles/";
+
+// ol/TileState.ERROR
+const TILE_STATE_ERROR = 3;
+
+function parseServiceUrl(url) {
+  const match = url.match(
+    /^https:\/\/([a-z]+)\.geo(?:-fips)?\.([a-z0-9-]+)\.amazonaws\.com\//
+  );
+
+  if (match == null) {
+    return null;
+  }
+
+  return {
+    service: match[1],
+    region: match[2],
+  };
+}
+
+function validateApiKeyService(url) {
+  const serviceUrl = parseServiceUrl(url);
+
+  if (serviceUrl == null || !API_KEY_SERVICES.includes(serviceUrl.service)) {
+    const services = API_KEY_SERVICES.join(", ");
+
+    throw new Error(
+      `API keys can only be used with ${services} resources: ${url}`
+    );
+  }
+}
+
+function appendApiKey(url, apiKey) {
+  return `${url}${url.includes("?") ? "&" : "?"}key=${encodeURIComponent(
+    apiKey
+  )}`;
+}
+
+function resolveResourceUrl(
+  url,
+  resourceType,
+  { endpoint, colorScheme, politicalView }
+) {
+  if (url.includes("://")) {
+    // already absolute
+    return url;
+  }
+
+  if (resourceType === "Style" && url.startsWith(STYLE_PREFIX)) {
+    const params = [];
+
+    if (colorScheme != null) {
+      params.push(`color-scheme=${encodeURIComponent(colorScheme)}`);
+    }
+
+    if (politicalView != null) {
+      params.push(`political-view=${encodeURIComponent(politicalView)}`);
+    }
+
+    return `${endpoint}/v2/${url}/descriptor${
+      params.length > 0 ? `?${params.join("&")}` : ""
+    }`;
+  }
+
+  if (resourceType === "Style") {
+    return `${endpoint}/maps/v0/maps/${url}/style-descriptor`;
+  }
+
+  if (MAP_RESOURCE_TYPES.includes(resourceType)) {
+    return `${endpoint}/maps/v0/maps/${url}`;
+  }
+
+  return url;
+}
+
+function resolveEndpoint(endpoint, region) {
+  if (endpoint != null) {
+    validateEndpoint(endpoint);
+
+    return {
+      url: endpoint.replace(/\/+$/, ""),
+      region,
+    };
+  }
+
+  return {
+    url: `https://maps.geo.${region}.amazonaws.com`,
+    region,
+  };
+}
+
+// the name of the Map resource (or style) that a shorthand URL refers to
+function getMapName(url, resourceType) {
+  if (url.includes("://")) {
+    return null;
+  }
+
+  if (resourceType === "Style") {
+    return url;
+  }
+
+  return url.split("/")[0];
+}
+
 function createCognitoCredentialProvider(identityPoolId) {
   return fromCognitoIdentityPool({
     client: new CognitoIdentityClient({
@@ -39,62 +234,919 @@ function createCognitoCredentialProvider(identityPoolId) {
   });
 }
 
-async function createRequestTransformer({
+// refresh credentials 5 minutes before they expire by default
+const DEFAULT_REFRESH_MARGIN = 5 * 60 * 1000;
+const DEFAULT_RETRY_BASE_DELAY = 1000;
+const DEFAULT_RETRY_MAX_DELAY = 60 * 1000;
+// reuse signed URLs for up to 5 minutes (well within SigV4's 15 minute clock skew allowance)
+const DEFAULT_SIGNED_URL_CACHE_TTL = 5 * 60 * 1000;
+const DEFAULT_SIGNED_URL_CACHE_SIZE = 1000;
+// setTimeout overflows (and fires immediately) with delays above 2^31 - 1 ms
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+function schedule(fn, delay) {
+  const timeout = setTimeout(fn, Math.min(Math.max(delay, 0), MAX_TIMEOUT));
+
+  // don't keep Node processes alive just to refresh credentials
+  if (timeout != null && typeof timeout.unref === "function") {
+    timeout.unref();
+  }
+
+  return timeout;
+}
+
+function createSignedUrlCache({
+  ttl = DEFAULT_SIGNED_URL_CACHE_TTL,
+  maxEntries = DEFAULT_SIGNED_URL_CACHE_SIZE,
+} = {}) {
+  // Maps iterate in insertion order, so the first key is always the least recently used
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  return {
+    get(url, sign) {
+      const entry = entries.get(url);
+
+      if (entry != null && entry.expires > Date.now()) {
+        hits++;
+        entries.delete(url);
+        entries.set(url, entry);
+
+        return entry.signedUrl;
+      }
+
+      misses++;
+      const signedUrl = sign(url);
+
+      if (ttl > 0 && maxEntries > 0) {
+        entries.delete(url);
+        entries.set(url, { signedUrl, expires: Date.now() + ttl });
+
+        if (entries.size > maxEntries) {
+          entries.delete(entries.keys().next().value);
+        }
+      }
+
+      return signedUrl;
+    },
+    delete(url) {
+      entries.delete(url);
+    },
+    clear() {
+      entries.clear();
+    },
+    getStats() {
+      return {
+        hits,
+        misses,
+        size: entries.size,
+      };
+    },
+  };
+}
+
+function getResourceCategory(url, resourceType) {
+  if (RESOURCE_CATEGORIES[resourceType] != null) {
+    return RESOURCE_CATEGORIES[resourceType];
+  }
+
+  // protocol handlers only see URLs
+  const { pathname } = new URL(url);
+
+  if (/\/(style-)?descriptor$/.test(pathname)) {
+    return "style";
+  }
+
+  if (pathname.includes("/tiles/")) {
+    return "tile";
+  }
+
+  if (pathname.includes("/glyphs/")) {
+    return "glyph";
+  }
+
+  if (pathname.includes("/sprites/")) {
+    return "sprite";
+  }
+
+  return "api";
+}
+
+function createCounters() {
+  return USAGE_CATEGORIES.reduce(
+    (counters, category) => ({ ...counters, [category]: 0 }),
+    {}
+  );
+}
+
+function createUsageTracker({ onRequest, onResponse } = {}) {
+  const emitter = createEmitter();
+  let requests = createCounters();
+  let errors = createCounters();
+
+  if (onRequest != null) {
+    emitter.on("request", onRequest);
+  }
+
+  if (onResponse != null) {
+    emitter.on("response", onResponse);
+  }
+
+  return {
+    recordRequest(event) {
+      requests[event.category]++;
+      emitter.emit("request", event);
+    },
+    recordResponse(event) {
+      if (!event.ok) {
+        errors[event.category]++;
+      }
+
+      emitter.emit("response", event);
+    },
+    getSummary() {
+      return {
+        requests: { ...requests },
+        errors: { ...errors },
+        total: Object.values(requests).reduce((sum, count) => sum + count, 0),
+      };
+    },
+    reset() {
+      requests = createCounters();
+      errors = createCounters();
+    },
+  };
+}
+
+function createCredentialManager(
+  provider,
+  {
+    refreshMargin = DEFAULT_REFRESH_MARGIN,
+    retryBaseDelay = DEFAULT_RETRY_BASE_DELAY,
+    retryMaxDelay = DEFAULT_RETRY_MAX_DELAY,
+  } = {}
+) {
+  const emitter = createEmitter();
+  let credentials;
+  let timeout;
+  let pending;
+  let disposed = false;
+
+  // replace the pending timer, so only one chain of refreshes is ever scheduled
+  function scheduleNext(fn, delay) {
+    clearTimeout(timeout);
+    timeout = schedule(fn, delay);
+  }
+
+  function scheduleRefresh() {
+    if (disposed || credentials.expiration == null) {
+      // static credentials never need to be refreshed
+      return;
+    }
+
+    const lifetime = new Date(credentials.expiration) - new Date();
+    // credentials that expire within the margin are refreshed halfway through their lifetime instead
+    const refreshIn =
+      lifetime > refreshMargin ? lifetime - refreshMargin : lifetime / 2;
+
+    // never refresh in a tight loop, even if a provider returns (nearly) expired credentials
+    scheduleNext(() => refresh(0), Math.max(refreshIn, retryBaseDelay));
+  }
+
+  async function fetchCredentials(attempt) {
+    try {
+      const refreshed = await provider();
+
+      if (disposed) {
+        return;
+      }
+
+      validateCredentials(refreshed);
+      credentials = refreshed;
+      emitter.emit("refresh", { credentials });
+      scheduleRefresh();
+    } catch (error) {
+      if (disposed) {
+        return;
+      }
+
+      // keep signing with the current credentials while retrying with exponential backoff
+      const retryIn = Math.min(retryBaseDelay * 2 ** attempt, retryMaxDelay);
+
+      emitter.emit("error", { error, attempt: attempt + 1, retryIn });
+      scheduleNext(() => refresh(attempt + 1), retryIn);
+    }
+  }
+
+  // scheduled and immediate refreshes share the one in flight
+  function refresh(attempt) {
+    if (pending == null) {
+      clearTimeout(timeout);
+      timeout = null;
+      pending = fetchCredentials(attempt).finally(() => {
+        pending = null;
+      });
+    }
+
+    return pending;
+  }
+
+  return {
+    async initialize() {
+      credentials = await provider();
+      validateCredentials(credentials);
+      scheduleRefresh();
+    },
+    getCredentials() {
+      return credentials;
+    },
+    // refresh immediately (e.g. after a request was rejected), sharing in-flight refreshes
+    refreshNow() {
+      return refresh(0);
+    },
+    on: emitter.on,
+    off: emitter.off,
+    dispose() {
+      disposed = true;
+      clearTimeout(timeout);
+      timeout = null;
+    },
+  };
+}
+
+function createCredentialSource({
   credentials,
+  credentialProvider,
   identityPoolId,
   region,
+  refreshMargin,
+  retryBaseDelay,
+  retryMaxDelay,
 }) {
-  if (identityPoolId != null) {
+  let provider = async () => credentials;
+
+  if (credentialProvider != null) {
+    // any AWS SDK v3 credential provider (fromIni, fromEnv, fromTemporaryCredentials, etc.)
+    validateCredentialProvider(credentialProvider);
+    provider = credentialProvider;
+  } else if (identityPoolId != null) {
     // use the region containing the identity pool if one wasn't provided
     region = region || identityPoolId.split(":")[0];
-    const provider = createCognitoCredentialProvider(identityPoolId);
+    provider = createCognitoCredentialProvider(identityPoolId);
+  }
 
-    // refresh credentials before they expire
-    async function refreshCognitoCredentials() {
-      credentials = await provider();
+  validateRegion(region);
 
-      setTimeout(
-        refreshCognitoCredentials,
-        credentials.expiration - new Date()
-      );
+  return {
+    credentialManager: createCredentialManager(provider, {
+      refreshMargin,
+      retryBaseDelay,
+      retryMaxDelay,
+    }),
+    region,
+  };
+}
+
+async function createRequestTransformer({
+  apiKey,
+  endpoint,
+  colorScheme,
+  politicalView,
+  signedUrlCacheTTL,
+  signedUrlCacheSize,
+  protocol = false,
+  maps = {},
+  onRequest,
+  onResponse,
+  ...config
+}) {
+  const { credentialManager, region } = createCredentialSource(config);
+  const usageTracker = createUsageTracker({ onRequest, onResponse });
+  const defaultEndpoint = resolveEndpoint(endpoint, region);
+
+  // per-map regions and endpoints, keyed by the names used as shorthand
+  const mapEndpoints = new Map(
+    Object.entries(maps).map(([name, settings]) => {
+      const { region: mapRegion = region, endpoint: mapEndpoint } =
+        typeof settings === "string" ? { region: settings } : settings;
+
+      validateRegion(mapRegion);
+
+      return [name, resolveEndpoint(mapEndpoint, mapRegion)];
+    })
+  );
+  const endpoints = [defaultEndpoint, ...mapEndpoints.values()];
+
+  const signedUrlCache = createSignedUrlCache({
+    ttl: signedUrlCacheTTL,
+    maxEntries: signedUrlCacheSize,
+  });
+
+  // signatures made with previous credentials must not outlive them
+  credentialManager.on("refresh", signedUrlCache.clear);
+
+  if (apiKey !== undefined) {
+    // API keys replace credentials entirely
+    validateApiKey(apiKey);
+  } else {
+    await credentialManager.initialize();
+  }
+
+  function findEndpoint(url) {
+    return endpoints.find(({ url: endpointUrl }) =>
+      url.startsWith(`${endpointUrl}/`)
+    );
+  }
+
+  function shouldAuthorize(url) {
+    return findEndpoint(url) != null || url.includes("amazonaws.com");
+  }
+
+  function sign(url) {
+    const credentials = credentialManager.getCredentials();
+    const serviceUrl = parseServiceUrl(url);
+    const matchedEndpoint = findEndpoint(url);
+    let serviceInfo;
+
+    // sign using the region each resource is in
+    if (serviceUrl != null) {
+      // Amazon Location signs as `geo`, including on FIPS hosts
+      serviceInfo = { service: "geo", region: serviceUrl.region };
+    } else if (matchedEndpoint != null) {
+      serviceInfo = { service: "geo", region: matchedEndpoint.region };
     }
 
-    await refreshCognitoCredentials();
+    // @aws-sdk/signature-v4 would be another option, but this needs to be synchronous
+    return Signer.signUrl(
+      url,
+      {
+        access_key: credentials.accessKeyId,
+        secret_key: credentials.secretAccessKey,
+        session_token: credentials.sessionToken,
+      },
+      serviceInfo
+    );
   }
 
-  validateCredentials(credentials);
-  validateRegion(region);
+  function authorize(url, { skipCache = false } = {}) {
+    if (apiKey !== undefined) {
+      if (findEndpoint(url) == null) {
+        validateApiKeyService(url);
+      }
 
-  return (url, resourceType) => {
-    if (resourceType === "Style" && !url.includes("://")) {
-      // resolve to an AWS URL
-      url = `https://maps.geo.${region}.amazonaws.com/maps/v0/maps/${url}/style-descriptor`;
+      // authorize AWS requests with the API key rather than signing them
+      return appendApiKey(url, apiKey);
     }
 
-    if (url.includes("amazonaws.com")) {
-      // only sign AWS requests (with the signature as part of the query string)
-      return {
-        // @aws-sdk/signature-v4 would be another option, but this needs to be synchronous
-        url: Signer.signUrl(url, {
-          access_key: credentials.accessKeyId,
-          secret_key: credentials.secretAccessKey,
-          session_token: credentials.sessionToken,
-        }),
-      };
+    if (skipCache) {
+      signedUrlCache.delete(url);
+    }
+
+    // sign with the signature as part of the query string
+    return signedUrlCache.get(url, sign);
+  }
+
+  const protocolPrefix = `${PROTOCOL}://${nextProtocolId++}/`;
+
+  const transformRequest = (url, resourceType) => {
+    // resolve shorthand names to AWS (or endpoint) URLs, in the region of the map they refer to
+    const mapEndpoint =
+      mapEndpoints.get(getMapName(url, resourceType)) || defaultEndpoint;
+
+    url = resolveResourceUrl(url, resourceType, {
+      endpoint: mapEndpoint.url,
+      colorScheme,
+      politicalView,
+    });
+
+    if (shouldAuthorize(url)) {
+      usageTracker.recordRequest({
+        url,
+        resourceType,
+        category: getResourceCategory(url, resourceType),
+      });
+
+      if (protocol) {
+        // defer authorization to the protocol handler, which can retry and re-sign
+        return { url: `${protocolPrefix}${url.replace(/^https?:\/\//, "")}` };
+      }
+
+      return { url: authorize(url) };
     }
 
     // don't sign
     return { url };
   };
+
+  // expose the credential lifecycle on the transformer itself so it can still be passed
+  // directly as `transformRequest`
+  transformRequest.on = credentialManager.on;
+  transformRequest.off = credentialManager.off;
+  transformRequest.dispose = () => {
+    credentialManager.dispose();
+    signedUrlCache.clear();
+  };
+  transformRequest.getCacheStats = signedUrlCache.getStats;
+  transformRequest.getCredentials = credentialManager.getCredentials;
+  transformRequest.region = region;
+  transformRequest.authorize = authorize;
+  transformRequest.toHttpUrl = (url) => {
+    const location = url.replace(PROTOCOL_URL, "");
+
+    // local endpoints may not use https
+    const matchedEndpoint = endpoints.find(({ url: endpointUrl }) =>
+      location.startsWith(`${endpointUrl.split("://")[1]}/`)
+    );
+
+    return matchedEndpoint != null
+      ? `${matchedEndpoint.url.split("://")[0]}://${location}`
+      : `https://${location}`;
+  };
+  transformRequest.refreshCredentials = async () => {
+    if (apiKey === undefined) {
+      await credentialManager.refreshNow();
+    }
+  };
+
+  usageTrackers.set(transformRequest, usageTracker);
+  protocolIds.set(transformRequest, protocolPrefix.match(PROTOCOL_URL)[1]);
+
+  return transformRequest;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function readResponse(response, type) {
+  switch (type) {
+    case "json":
+      return response.json();
+
+    case "string":
+      return response.text();
+
+    default:
+      return response.arrayBuffer();
+  }
+}
+
+function createProtocolHandler(
+  transformRequest,
+  {
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryBaseDelay = DEFAULT_PROTOCOL_RETRY_BASE_DELAY,
+    retryMaxDelay = DEFAULT_PROTOCOL_RETRY_MAX_DELAY,
+  } = {}
+) {
+  async function load(url, type, signal) {
+    let resigned = false;
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await fetch(
+        transformRequest.authorize(url, { skipCache: resigned }),
+        { signal }
+      );
+
+      if (response.ok) {
+        return {
+          status: response.status,
+          data: await readResponse(response, type),
+          cacheControl: response.headers.get("Cache-Control"),
+          expires: response.headers.get("Expires"),
+        };
+      }
+
+      if (response.status === 403 && !resigned) {
+        // credentials may have expired (or been revoked); re-sign once with fresh ones
+        resigned = true;
+        await transformRequest.refreshCredentials();
+        continue;
+      }
+
+      if (
+        RETRYABLE_STATUSES.includes(response.status) &&
+        attempt < maxRetries
+      ) {
+        // exponential backoff with full jitter
+        await sleep(
+          Math.random() * Math.min(retryBaseDelay * 2 ** attempt, retryMaxDelay)
+        );
+        continue;
+      }
+
+      const err = new Error(
+        `Request to ${url} failed with ${response.status} ${response.statusText}`
+      );
+
+      err.status = response.status;
+
+      throw err;
+    }
+  }
+
+  return (params, callback) => {
+    const controller =
+      typeof AbortController !== "undefined" ? new AbortController() : null;
+    const usageTracker = usageTrackers.get(transformRequest);
+    const url = transformRequest.toHttpUrl(params.url);
+    const start = Date.now();
+    let cancelled = false;
+
+    function recordResponse(status) {
+      if (usageTracker != null) {
+        usageTracker.recordResponse({
+          url,
+          category: getResourceCategory(url),
+          status,
+          ok: status >= 200 && status < 300,
+          duration: Date.now() - start,
+        });
+      }
+    }
+
+    load(url, params.type, controller && controller.signal).then(
+      ({ status, data, cacheControl, expires }) => {
+        if (!cancelled) {
+          recordResponse(status);
+          callback(null, data, cacheControl, expires);
+        }
+      },
+      (err) => {
+        if (!cancelled) {
+          // network errors have no status
+          recordResponse(err.status);
+          callback(err);
+        }
+      }
+    );
+
+    return {
+      cancel() {
+        cancelled = true;
+
+        if (controller != null) {
+          controller.abort();
+        }
+      },
+    };
+  };
+}
+
+// a single handler serves every map, as there is only one amazon-location protocol per page
+function handleProtocolRequest(params, callback) {
+  const [, id] = params.url.match(PROTOCOL_URL) || [];
+  const handler = protocolHandlers.get(id);
+
+  if (handler == null) {
+    callback(new Error(`No transformer is registered for ${params.url}`));
+    return { cancel() {} };
+  }
+
+  return handler(params, callback);
+}
+
+// returns a function that unregisters the transformer
+function registerProtocol(mapgl, transformRequest, options) {
+  const id = protocolIds.get(transformRequest);
+  const registrations = protocolRegistrations.get(mapgl) || 0;
+  let registered = true;
+
+  protocolHandlers.set(id, createProtocolHandler(transformRequest, options));
+
+  if (registrations === 0) {
+    mapgl.addProtocol(PROTOCOL, handleProtocolRequest);
+  }
+
+  protocolRegistrations.set(mapgl, registrations + 1);
+
+  return () => {
+    if (!registered) {
+      return;
+    }
+
+    registered = false;
+    protocolHandlers.delete(id);
+
+    const remaining = protocolRegistrations.get(mapgl) - 1;
+
+    protocolRegistrations.set(mapgl, remaining);
+
+    // other maps may still be using it
+    if (remaining === 0) {
+      mapgl.removeProtocol(PROTOCOL);
+    }
+  };
+}
+
+async function prepareStyle(
+  transformRequest,
+  style,
+  { stylePatches, transformStyle }
+) {
+  if (stylePatches == null && transformStyle == null) {
+    return style;
+  }
+
+  // fetch the style up front so it can be modified before it's rendered
+  if (typeof style === "string") {
+    style = await fetchStyleDescriptor(transformRequest, style);
+  }
+
+  return patchStyle(style, stylePatches, transformStyle);
 }
 
 async function createMap(config, options, mapgl) {
   const transformRequest = await createRequestTransformer(config);
 
-  return new (mapgl || maplibregl || mapboxgl).Map({
+  let style;
+
+  try {
+    style = await prepareStyle(transformRequest, options.style, config);
+  } catch (err) {
+    transformRequest.dispose();
+    throw err;
+  }
+
+  mapgl = mapgl || maplibregl || mapboxgl;
+
+  const unregisterProtocol = config.protocol
+    ? registerProtocol(mapgl, transformRequest, config.protocolOptions)
+    : () => {};
+
+  const map = new mapgl.Map({
+    ...options,
+    style,
+    transformRequest,
+  });
+
+  usageTrackers.set(map, usageTrackers.get(transformRequest));
+
+  // stop refreshing credentials once the map is gone
+  map.on("remove", () => {
+    transformRequest.dispose();
+    unregisterProtocol();
+  });
+
+  return map;
+}
+
+async function createLeafletLayer(config, options, leaflet, mapgl) {
+  leaflet = leaflet || (typeof window !== "undefined" ? window.L : undefined);
+  // the MapLibre that maplibre-gl-leaflet renders with (it uses the global one by default)
+  mapgl =
+    mapgl ||
+    (typeof window !== "undefined" ? window.maplibregl : undefined) ||
+    maplibregl;
+
+  // Leaflet can't render vector tiles itself, so MapLibre renders them within a layer
+  if (leaflet == null || leaflet.maplibreGL == null) {
+    throw new Error(
+      "Leaflet layers require Leaflet and @maplibre/maplibre-gl-leaflet."
+    );
+  }
+
+  const transformRequest = await createRequestTransformer(config);
+
+  let style;
+  let attribution;
+
+  try {
+    style = await prepareStyle(transformRequest, options.style, config);
+    ({ html: attribution } = await getAttribution(transformRequest, style));
+  } catch (err) {
+    transformRequest.dispose();
+    throw err;
+  }
+
+  const unregisterProtocol = config.protocol
+    ? registerProtocol(mapgl, transformRequest, config.protocolOptions)
+    : () => {};
+
+  const layer = leaflet.maplibreGL({
+    attribution,
     ...options,
+    style,
     transformRequest,
   });
+
+  usageTrackers.set(layer, usageTrackers.get(transformRequest));
+
+  // layers may be removed from maps and added again, so this isn't done automatically
+  layer.dispose = () => {
+    transformRequest.dispose();
+    unregisterProtocol();
+  };
+
+  return layer;
+}
+
+async function getTileSource(transformRequest, style, sourceId) {
+  const [, source] =
+    Object.entries(style.sources || {}).find(([id, { type }]) =>
+      sourceId != null ? id === sourceId : type === "vector"
+    ) || [];
+
+  if (source == null) {
+    throw new Error(`Style has no vector source: ${sourceId || ""}`);
+  }
+
+  // TileJSON sources declare their tile URLs separately
+  return source.tiles != null
+    ? source
+    : fetchResource(transformRequest, source.url, "Source");
+}
+
+async function createOpenLayersSource(
+  config,
+  { style: styleOption, source: sourceId, ...options },
+  ol
+) {
+  ol = ol || (typeof window !== "undefined" ? window.ol : undefined);
+
+  if (ol == null) {
+    throw new Error("OpenLayers sources require OpenLayers.");
+  }
+
+  // OpenLayers loads tiles itself, so they can't be loaded using a protocol handler
+  if (config.protocol) {
+    throw new Error("OpenLayers sources don't support the protocol option.");
+  }
+
+  const transformRequest = await createRequestTransformer(config);
+
+  let style;
+  let attribution;
+  let tileJSON;
+
+  try {
+    style = await prepareStyle(transformRequest, styleOption, config);
+
+    if (typeof style === "string") {
+      style = await fetchStyleDescriptor(transformRequest, style);
+    }
+
+    ({ html: attribution } = await getAttribution(transformRequest, style));
+    tileJSON = await getTileSource(transformRequest, style, sourceId);
+  } catch (err) {
+    transformRequest.dispose();
+    throw err;
+  }
+
+  const source = new ol.source.VectorTile({
+    attributions: attribution,
+    format: new ol.format.MVT(),
+    url: tileJSON.tiles[0],
+    minZoom: tileJSON.minzoom,
+    maxZoom: tileJSON.maxzoom,
+    ...options,
+    // sign tile URLs as they're loaded, using current credentials
+    tileLoadFunction: (tile, url) => {
+      tile.setLoader((extent, resolution, projection) => {
+        fetch(transformRequest(url, "Tile").url)
+          .then((response) => {
+            if (!response.ok) {
+              throw new Error(
+                `Request to ${url} failed with ${response.status}`
+              );
+            }
+
+            return response.arrayBuffer();
+          })
+          .then((data) =>
+            tile.setFeatures(
+              tile.getFormat().readFeatures(data, {
+                extent,
+                featureProjection: projection,
+              })
+            )
+          )
+          .catch(() => tile.setState(TILE_STATE_ERROR));
+      });
+    },
+  });
+
+  // the style descriptor can be applied to layers using ol-mapbox-style
+  source.style = style;
+  source.transformRequest = transformRequest;
+
+  const disposeSource = source.dispose.bind(source);
+
+  source.dispose = () => {
+    transformRequest.dispose();
+    disposeSource();
+  };
+
+  usageTrackers.set(source, usageTrackers.get(transformRequest));
+
+  return source;
+}
+
+async function createLocationClient(
+  { transformRequest, ...config },
+  clientConfig = {}
+) {
+  let getCredentials;
+  let region;
+  let usageTracker;
+  let dispose = () => {};
+
+  if (transformRequest != null) {
+    // share credentials (and usage) with an existing transformer
+    getCredentials = transformRequest.getCredentials;
+    region = config.region || transformRequest.region;
+    usageTracker = usageTrackers.get(transformRequest);
+  } else {
+    usageTracker = createUsageTracker(config);
+
+    const credentialSource = createCredentialSource(config);
+
+    await credentialSource.credentialManager.initialize();
+
+    getCredentials = credentialSource.credentialManager.getCredentials;
+    region = credentialSource.region;
+    dispose = credentialSource.credentialManager.dispose;
+  }
+
+  if (getCredentials() == null) {
+    throw new Error(
+      "Location clients require credentials; API keys are not supported."
+    );
+  }
+
+  const client = new LocationClient({
+    ...clientConfig,
+    region,
+    // always use the most recently refreshed credentials
+    credentials: async () => getCredentials(),
+  });
+
+  client.middlewareStack.add(
+    (next, context) => async (args) => {
+      const start = Date.now();
+      const event = {
+        category: "api",
+        operation: context.commandName,
+      };
+
+      usageTracker.recordRequest(event);
+
+      try {
+        const result = await next(args);
+
+        usageTracker.recordResponse({
+          ...event,
+          status: result.response.statusCode,
+          ok: true,
+          duration: Date.now() - start,
+        });
+
+        return result;
+      } catch (err) {
+        usageTracker.recordResponse({
+          ...event,
+          status: err.$metadata && err.$metadata.httpStatusCode,
+          ok: false,
+          duration: Date.now() - start,
+        });
+
+        throw err;
+      }
+    },
+    { step: "initialize", name: "amazonLocationUsageMiddleware" }
+  );
+
+  usageTrackers.set(client, usageTracker);
+
+  const destroy = client.destroy.bind(client);
+
+  client.destroy = () => {
+    dispose();
+    destroy();
+  };
+
+  return client;
+}
+
+function getUsageSummary(target) {
+  const usageTracker = usageTrackers.get(target);
+
+  if (usageTracker == null) {
+    throw new Error(
+      "Usage is only tracked for transformers, maps, and clients created by amazon-location-helpers."
+    );
+  }
+
+  return usageTracker.getSummary();
+}
+
+function resetUsage(target) {
+  const usageTracker = usageTrackers.get(target);
+
+  if (usageTracker != null) {
+    usageTracker.reset();
+  }
 }
 
 function getCredentialsForIdentityPool(identityPoolId) {
@@ -102,7 +1154,30 @@ function getCredentialsForIdentityPool(identityPoolId) {
 }
 
 module.exports = {
+  batchPutGeofences,
+  calculateRoute,
+  createGeocoderControl,
+  createLeafletLayer,
+  createLocationClient,
   createMap,
+  createOpenLayersSource,
+  createProtocolHandler,
   createRequestTransformer,
+  devicePositionsToGeoJSON,
+  fetchStyleDescriptor,
+  getAttribution,
   getCredentialsForIdentityPool,
+  getDevicePositionHistory,
+  getUsageSummary,
+  listDevicePositions,
+  listGeofences,
+  localizeStyle,
+  localizeTextField,
+  patchStyle,
+  putGeofence,
+  resetUsage,
+  searchPosition,
+  searchSuggestions,
+  searchText,
+  setMapLanguage,
 };
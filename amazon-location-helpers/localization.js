@@ -0,0 +1,159 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+// fields containing labels in the default language, as used by Esri, HERE, and OpenData styles
+const DEFAULT_NAME_FIELDS = ["name", "_name", "_name_global"];
+
+// original text-field values of layers on maps that have been localized, along with their current language
+const mapStates = new WeakMap();
+
+function languageField(language) {
+  return `name:${language}`;
+}
+
+function localizeName(field, languages) {
+  return [
+    "coalesce",
+    ...languages.map((language) => ["get", languageField(language)]),
+    ["get", field],
+  ];
+}
+
+function localizeExpression(expression, languages, nameFields) {
+  if (
+    expression[0] === "get" &&
+    expression.length === 2 &&
+    nameFields.includes(expression[1])
+  ) {
+    return localizeName(expression[1], languages);
+  }
+
+  return expression.map((value) =>
+    Array.isArray(value)
+      ? localizeExpression(value, languages, nameFields)
+      : value
+  );
+}
+
+// convert legacy token strings (e.g. "{name}\n{ref}") into expressions
+function localizeTokens(textField, languages, nameFields) {
+  const parts = textField
+    .split(/(\{[^}]+\})/)
+    .filter((part) => part !== "")
+    .map((part) => {
+      const token = part.match(/^\{([^}]+)\}$/);
+
+      if (token == null) {
+        return part;
+      }
+
+      return nameFields.includes(token[1])
+        ? localizeName(token[1], languages)
+        : ["to-string", ["get", token[1]]];
+    });
+
+  if (!parts.some(Array.isArray)) {
+    // no tokens
+    return textField;
+  }
+
+  return parts.length === 1 ? parts[0] : ["concat", ...parts];
+}
+
+function localizeTextField(
+  textField,
+  language,
+  { fallbacks = [], nameFields = DEFAULT_NAME_FIELDS } = {}
+) {
+  if (language == null) {
+    return textField;
+  }
+
+  const languages = [language, ...fallbacks];
+
+  if (typeof textField === "string") {
+    return localizeTokens(textField, languages, nameFields);
+  }
+
+  if (Array.isArray(textField)) {
+    return localizeExpression(textField, languages, nameFields);
+  }
+
+  // other values (e.g. zoom functions) are left as-is
+  return textField;
+}
+
+function hasTextField(layer) {
+  return layer.layout != null && layer.layout["text-field"] != null;
+}
+
+function localizeStyle(style, language, options) {
+  return {
+    ...style,
+    layers: style.layers.map((layer) =>
+      hasTextField(layer)
+        ? {
+            ...layer,
+            layout: {
+              ...layer.layout,
+              "text-field": localizeTextField(
+                layer.layout["text-field"],
+                language,
+                options
+              ),
+            },
+          }
+        : layer
+    ),
+  };
+}
+
+function localizeMap(map) {
+  const { originals, language, options } = mapStates.get(map);
+
+  map
+    .getStyle()
+    .layers.filter(hasTextField)
+    .forEach(({ id }) => {
+      // always localize the original so that languages can be switched repeatedly
+      if (!originals.has(id)) {
+        originals.set(id, map.getLayoutProperty(id, "text-field"));
+      }
+
+      map.setLayoutProperty(
+        id,
+        "text-field",
+        localizeTextField(originals.get(id), language, options)
+      );
+    });
+}
+
+function setMapLanguage(map, language, options) {
+  if (!mapStates.has(map)) {
+    map.on("style.load", () => {
+      const state = mapStates.get(map);
+
+      // a new style has new layers, which are shown in the current language
+      state.originals.clear();
+
+      if (state.language != null) {
+        localizeMap(map);
+      }
+    });
+  }
+
+  mapStates.set(map, {
+    originals: new Map(),
+    ...mapStates.get(map),
+    language,
+    options,
+  });
+
+  localizeMap(map);
+}
+
+module.exports = {
+  localizeStyle,
+  localizeTextField,
+  setMapLanguage,
+};
@@ -0,0 +1,21 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import { IncomingMessage, ServerResponse } from "http";
+import { createRequestTransformer } from "./index";
+
+type TransformerConfig = Parameters<typeof createRequestTransformer>[0];
+
+interface ProxyConfig extends TransformerConfig {
+  allow: (string | RegExp)[];
+  publicUrl?: string;
+  cacheControl?: { maps?: string; places?: string; routes?: string };
+}
+
+export function createProxyMiddleware(
+  config: ProxyConfig
+): (
+  req: IncomingMessage & { baseUrl?: string; protocol?: string },
+  res: ServerResponse,
+  next?: (err?: any) => void
+) => void;
@@ -0,0 +1,237 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+// Node-only (not included in the browser bundle): require("amazon-location-helpers/proxy")
+
+const http = require("http");
+const https = require("https");
+const { posix } = require("path");
+const { Signer } = require("@aws-amplify/core");
+const { createRequestTransformer } = require("./index");
+
+const SERVICES = ["maps", "places", "routes"];
+const DEFAULT_CACHE_CONTROL = {
+  maps: "public, max-age=86400",
+  // search results and routes may not be stored (or cached) on behalf of users
+  places: "no-store",
+  routes: "no-store",
+};
+// upstream response headers passed through to clients
+const RESPONSE_HEADERS = [
+  "content-type",
+  "content-length",
+  "etag",
+  "last-modified",
+  "cache-control",
+  "expires",
+];
+const MAX_BODY_SIZE = 1024 * 1024;
+// resources that refer to other resources (sources, tiles, sprites, and glyphs) by URL
+const REWRITTEN_RESOURCES = [
+  /\/style-descriptor$/,
+  /^\/v2\/styles\/[^/]+\/descriptor$/,
+  /\/tiles\.json$/,
+  // e.g. /v2/tiles/vector.basemap
+  /^\/v2\/tiles\/[^/]+$/,
+];
+
+function getService(path) {
+  const [, service] = path.split("/");
+
+  // e.g. /v2/styles/Standard/descriptor, /v2/tiles/vector.basemap/{z}/{x}/{y}
+  if (service === "v2") {
+    return "maps";
+  }
+
+  return service;
+}
+
+// decoded path, or null if it is malformed or isn't already normalized (e.g. contains %2e%2e)
+function normalizePath(path) {
+  let decoded;
+
+  try {
+    decoded = decodeURIComponent(path);
+  } catch (err) {
+    return null;
+  }
+
+  // normalizing resolves . and .. segments (and collapses repeated slashes)
+  if (decoded.includes("\\") || posix.normalize(decoded) !== decoded) {
+    return null;
+  }
+
+  return decoded;
+}
+
+function isAllowed(allow, path) {
+  return allow.some((pattern) => {
+    if (pattern instanceof RegExp) {
+      return pattern.test(path);
+    }
+
+    // trailing wildcards match any path with that prefix
+    return pattern.endsWith("*")
+      ? path.startsWith(pattern.slice(0, -1))
+      : path === pattern;
+  });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error("Request body is too large."));
+        req.destroy();
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function sendError(res, statusCode, message) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify({ message }));
+}
+
+function createProxyMiddleware({
+  allow,
+  publicUrl,
+  cacheControl = {},
+  endpoint,
+  ...config
+}) {
+  if (!Array.isArray(allow) || allow.length === 0) {
+    throw new Error(
+      "An allowlist of paths (e.g. /maps/v0/maps/explore.map/*) is required."
+    );
+  }
+
+  const cacheControls = { ...DEFAULT_CACHE_CONTROL, ...cacheControl };
+  let transformRequest;
+
+  // credentials are fetched when the first request is made
+  function getTransformRequest() {
+    if (transformRequest == null) {
+      transformRequest = createRequestTransformer(config).catch((err) => {
+        transformRequest = null;
+        throw err;
+      });
+    }
+
+    return transformRequest;
+  }
+
+  async function proxy(req, res, next) {
+    const [path] = req.url.split("?");
+    const service = getService(path);
+
+    if (!SERVICES.includes(service)) {
+      return next();
+    }
+
+    // upstream resolves encoded and relative segments, so check what it will see
+    const normalizedPath = normalizePath(path);
+
+    if (normalizedPath == null || !isAllowed(allow, normalizedPath)) {
+      return sendError(res, 403, `${path} is not allowed.`);
+    }
+
+    const { region, getCredentials } = await getTransformRequest();
+    const credentials = getCredentials();
+    // an endpoint (e.g. a local mock server) serves all services
+    const origin =
+      endpoint != null
+        ? endpoint.replace(/\/+$/, "")
+        : `https://${service}.geo.${region}.amazonaws.com`;
+    const url = `${origin}${req.url}`;
+    const body =
+      req.method === "GET" || req.method === "HEAD"
+        ? undefined
+        : await readBody(req);
+
+    const signed = Signer.sign(
+      {
+        method: req.method,
+        url,
+        data: body,
+        headers: {
+          "content-type": req.headers["content-type"] || "application/json",
+        },
+      },
+      {
+        access_key: credentials.accessKeyId,
+        secret_key: credentials.secretAccessKey,
+        session_token: credentials.sessionToken,
+      },
+      { service: "geo", region }
+    );
+
+    const upstream = await new Promise((resolve, reject) => {
+      const request = (url.startsWith("https:") ? https : http).request(url, {
+        method: req.method,
+        headers: signed.headers,
+      });
+
+      request.on("response", resolve);
+      request.on("error", reject);
+      request.end(body);
+    });
+
+    res.statusCode = upstream.statusCode;
+
+    RESPONSE_HEADERS.forEach((header) => {
+      if (upstream.headers[header] != null) {
+        res.setHeader(header, upstream.headers[header]);
+      }
+    });
+
+    if (upstream.headers["cache-control"] == null) {
+      res.setHeader("Cache-Control", cacheControls[service]);
+    }
+
+    if (
+      upstream.statusCode === 200 &&
+      REWRITTEN_RESOURCES.some((pattern) => pattern.test(path))
+    ) {
+      // point sources, tiles, sprites, and glyphs at the proxy rather than at AWS
+      const base =
+        publicUrl || `${req.protocol || "http"}://${req.headers.host}`;
+      const proxyUrl = `${base.replace(/\/+$/, "")}${req.baseUrl || ""}`;
+      const rewritten = (await readBody(upstream))
+        .split(`https://maps.geo.${region}.amazonaws.com`)
+        .join(proxyUrl)
+        .split(origin)
+        .join(proxyUrl);
+
+      res.removeHeader("content-length");
+      return res.end(rewritten);
+    }
+
+    upstream.pipe(res);
+  }
+
+  return (req, res, next = () => sendError(res, 404, "Not found.")) => {
+    proxy(req, res, next).catch((err) => {
+      if (res.headersSent) {
+        res.destroy(err);
+      } else {
+        sendError(res, 502, err.message);
+      }
+    });
+  };
+}
+
+module.exports = {
+  createProxyMiddleware,
+};
@@ -0,0 +1,187 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+const { CalculateRouteCommand } = require("@aws-sdk/client-location");
+
+// a departure position, a destination position, and up to 23 waypoint positions
+const MIN_WAYPOINTS = 2;
+const MAX_WAYPOINTS = 25;
+const TRAVEL_MODES = ["Car", "Truck", "Walking"];
+const DIMENSION_UNITS = ["Meters", "Feet"];
+const WEIGHT_UNITS = ["Kilograms", "Pounds"];
+
+function validatePosition(position) {
+  if (
+    !Array.isArray(position) ||
+    position.length !== 2 ||
+    !position.every(Number.isFinite)
+  ) {
+    const value = JSON.stringify(position);
+
+    throw new Error(
+      `Waypoints must be [longitude, latitude] positions: ${value}`
+    );
+  }
+}
+
+function validateWaypoints(waypoints) {
+  if (
+    !Array.isArray(waypoints) ||
+    waypoints.length < MIN_WAYPOINTS ||
+    waypoints.length > MAX_WAYPOINTS
+  ) {
+    throw new Error(
+      `Between ${MIN_WAYPOINTS} and ${MAX_WAYPOINTS} waypoints are required to calculate a route.`
+    );
+  }
+
+  waypoints.forEach(validatePosition);
+}
+
+function validateMeasurement(name, value) {
+  if (value != null && !(Number.isFinite(value) && value >= 0)) {
+    throw new Error(`Truck ${name} must be a non-negative number: ${value}`);
+  }
+}
+
+function validateUnit(name, unit, units) {
+  if (unit != null && !units.includes(unit)) {
+    throw new Error(
+      `Truck ${name} unit must be one of ${units.join(", ")}: ${unit}`
+    );
+  }
+}
+
+// omit empty dimensions and weights (or those that only specify units), which the API rejects
+function compactTruckModeOptions({ Dimensions, Weight, ...options }) {
+  if (Dimensions != null) {
+    validateMeasurement("height", Dimensions.Height);
+    validateMeasurement("length", Dimensions.Length);
+    validateMeasurement("width", Dimensions.Width);
+    validateUnit("dimension", Dimensions.Unit, DIMENSION_UNITS);
+
+    if (Object.keys(Dimensions).some((key) => key !== "Unit")) {
+      options.Dimensions = Dimensions;
+    }
+  }
+
+  if (Weight != null) {
+    validateMeasurement("weight", Weight.Total);
+    validateUnit("weight", Weight.Unit, WEIGHT_UNITS);
+
+    if (Weight.Total != null) {
+      options.Weight = Weight;
+    }
+  }
+
+  return options;
+}
+
+function toLegFeature(
+  { Geometry, StartPosition, EndPosition, Distance, DurationSeconds },
+  legIndex
+) {
+  return {
+    type: "Feature",
+    geometry: {
+      type: "LineString",
+      // leg geometry is only included when requested
+      coordinates:
+        Geometry != null ? Geometry.LineString : [StartPosition, EndPosition],
+    },
+    properties: {
+      type: "leg",
+      legIndex,
+      distance: Distance,
+      duration: DurationSeconds,
+    },
+  };
+}
+
+function toStepFeature(
+  { StartPosition, EndPosition, Distance, DurationSeconds, GeometryOffset },
+  legIndex,
+  stepIndex
+) {
+  return {
+    type: "Feature",
+    geometry: {
+      type: "Point",
+      coordinates: StartPosition,
+    },
+    properties: {
+      type: "step",
+      legIndex,
+      stepIndex,
+      endPosition: EndPosition,
+      distance: Distance,
+      duration: DurationSeconds,
+      geometryOffset: GeometryOffset,
+    },
+  };
+}
+
+async function calculateRoute(
+  client,
+  {
+    Waypoints,
+    TravelMode = "Car",
+    CarModeOptions,
+    TruckModeOptions,
+    IncludeLegGeometry = true,
+    ...input
+  }
+) {
+  validateWaypoints(Waypoints);
+
+  if (!TRAVEL_MODES.includes(TravelMode)) {
+    throw new Error(
+      `Travel mode must be one of ${TRAVEL_MODES.join(", ")}: ${TravelMode}`
+    );
+  }
+
+  const commandInput = {
+    ...input,
+    TravelMode,
+    DeparturePosition: Waypoints[0],
+    DestinationPosition: Waypoints[Waypoints.length - 1],
+    IncludeLegGeometry,
+  };
+
+  if (Waypoints.length > MIN_WAYPOINTS) {
+    commandInput.WaypointPositions = Waypoints.slice(1, -1);
+  }
+
+  // options only apply to their respective travel modes
+  if (TravelMode === "Car" && CarModeOptions != null) {
+    commandInput.CarModeOptions = CarModeOptions;
+  } else if (TravelMode === "Truck" && TruckModeOptions != null) {
+    commandInput.TruckModeOptions = compactTruckModeOptions(TruckModeOptions);
+  }
+
+  const { Legs, Summary } = await client.send(
+    new CalculateRouteCommand(commandInput)
+  );
+
+  return {
+    type: "FeatureCollection",
+    bbox: Summary.RouteBBox,
+    features: Legs.flatMap((leg, legIndex) => [
+      toLegFeature(leg, legIndex),
+      ...leg.Steps.map((step, stepIndex) =>
+        toStepFeature(step, legIndex, stepIndex)
+      ),
+    ]),
+    // foreign member carrying route totals
+    summary: {
+      distance: Summary.Distance,
+      duration: Summary.DurationSeconds,
+      distanceUnit: Summary.DistanceUnit,
+      dataSource: Summary.DataSource,
+    },
+  };
+}
+
+module.exports = {
+  calculateRoute,
+};
@@ -0,0 +1,137 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+const {
+  GetPlaceCommand,
+  SearchPlaceIndexForPositionCommand,
+  SearchPlaceIndexForSuggestionsCommand,
+  SearchPlaceIndexForTextCommand,
+} = require("@aws-sdk/client-location");
+
+// normalize a Place into properties named like Amplify Geo's (camelCase)
+function toPlaceProperties(place = {}) {
+  return {
+    label: place.Label,
+    addressNumber: place.AddressNumber,
+    street: place.Street,
+    unitType: place.UnitType,
+    unitNumber: place.UnitNumber,
+    neighborhood: place.Neighborhood,
+    subMunicipality: place.SubMunicipality,
+    municipality: place.Municipality,
+    subRegion: place.SubRegion,
+    region: place.Region,
+    country: place.Country,
+    postalCode: place.PostalCode,
+    interpolated: place.Interpolated,
+    timeZone: place.TimeZone && place.TimeZone.Name,
+    categories: place.Categories || [],
+    supplementalCategories: place.SupplementalCategories || [],
+  };
+}
+
+function toPointGeometry(place) {
+  if (place == null || place.Geometry == null || place.Geometry.Point == null) {
+    return null;
+  }
+
+  return {
+    type: "Point",
+    coordinates: place.Geometry.Point,
+  };
+}
+
+function toFeature({ Place, PlaceId, Relevance, Distance }) {
+  return {
+    type: "Feature",
+    id: PlaceId,
+    geometry: toPointGeometry(Place),
+    properties: {
+      ...toPlaceProperties(Place),
+      placeId: PlaceId,
+      relevance: Relevance,
+      distance: Distance,
+    },
+  };
+}
+
+function toFeatureCollection(features) {
+  return {
+    type: "FeatureCollection",
+    features,
+  };
+}
+
+// defaults fill in properties that places may not include (e.g. suggestions' categories)
+async function getPlace(client, input, defaults = {}) {
+  const { Place } = await client.send(new GetPlaceCommand(input));
+
+  return toFeature({
+    Place: { ...defaults, ...Place },
+    PlaceId: input.PlaceId,
+  });
+}
+
+async function searchText(client, input) {
+  const { Results } = await client.send(
+    new SearchPlaceIndexForTextCommand(input)
+  );
+
+  return toFeatureCollection(Results.map(toFeature));
+}
+
+async function searchPosition(client, input) {
+  const { Results } = await client.send(
+    new SearchPlaceIndexForPositionCommand(input)
+  );
+
+  return toFeatureCollection(Results.map(toFeature));
+}
+
+async function searchSuggestions(client, input, { resolve = false } = {}) {
+  const { Results } = await client.send(
+    new SearchPlaceIndexForSuggestionsCommand(input)
+  );
+
+  const features = await Promise.all(
+    Results.map(
+      async ({ Text, PlaceId, Categories, SupplementalCategories }) => {
+        const feature = {
+          type: "Feature",
+          id: PlaceId,
+          // suggestions don't include positions unless they're resolved
+          geometry: null,
+          properties: {
+            label: Text,
+            placeId: PlaceId,
+            categories: Categories || [],
+            supplementalCategories: SupplementalCategories || [],
+          },
+        };
+
+        if (resolve && PlaceId != null) {
+          return getPlace(
+            client,
+            {
+              IndexName: input.IndexName,
+              PlaceId,
+              Language: input.Language,
+            },
+            { Categories, SupplementalCategories }
+          );
+        }
+
+        return feature;
+      }
+    )
+  );
+
+  return toFeatureCollection(features);
+}
+
+module.exports = {
+  getPlace,
+  searchPosition,
+  searchSuggestions,
+  searchText,
+};
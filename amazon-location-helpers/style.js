@@ -0,0 +1,153 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+const { localizeTextField } = require("./localization");
+
+const PROTOCOL_PREFIX = "amazon-location://";
+
+async function fetchResource(transformRequest, url, resourceType) {
+  let { url: transformedUrl } = transformRequest(url, resourceType);
+
+  // fetch() can't load custom protocol URLs, so authorize them directly
+  if (transformedUrl.startsWith(PROTOCOL_PREFIX)) {
+    transformedUrl = transformRequest.authorize(
+      transformRequest.toHttpUrl(transformedUrl)
+    );
+  }
+
+  const response = await fetch(transformedUrl);
+
+  if (!response.ok) {
+    throw new Error(
+      `Request to ${url} failed with ${response.status} ${response.statusText}`
+    );
+  }
+
+  return response.json();
+}
+
+function fetchStyleDescriptor(transformRequest, style) {
+  return fetchResource(transformRequest, style, "Style");
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&copy;/g, "©")
+    .replace(/&amp;/g, "&");
+}
+
+async function getAttribution(transformRequest, style) {
+  const descriptor =
+    typeof style === "string"
+      ? await fetchStyleDescriptor(transformRequest, style)
+      : style;
+
+  const attributions = await Promise.all(
+    Object.values(descriptor.sources || {}).map(async (source) => {
+      if (source.attribution != null) {
+        return source.attribution;
+      }
+
+      // TileJSON sources declare their attribution separately
+      if (source.url != null) {
+        const tileJSON = await fetchResource(
+          transformRequest,
+          source.url,
+          "Source"
+        );
+
+        return tileJSON.attribution;
+      }
+    })
+  );
+
+  // sources from the same provider often share attribution
+  const html = [...new Set(attributions.filter((a) => a != null && a !== ""))];
+
+  return {
+    html: html.join(" | "),
+    text: html
+      .map((attribution) => decodeEntities(attribution.replace(/<[^>]*>/g, "")))
+      .join(" | "),
+  };
+}
+
+function matchesLayer(layers, layer) {
+  if (typeof layers === "function") {
+    return layers(layer);
+  }
+
+  return []
+    .concat(layers)
+    .some((matcher) =>
+      matcher instanceof RegExp ? matcher.test(layer.id) : matcher === layer.id
+    );
+}
+
+function applyPatch(style, patch) {
+  const { type, layers = () => true, property, value } = patch;
+
+  style.layers
+    .filter((layer) => matchesLayer(layers, layer))
+    .forEach((layer) => {
+      switch (type) {
+        case "hide":
+          layer.layout = { ...layer.layout, visibility: "none" };
+          break;
+
+        case "show":
+          layer.layout = { ...layer.layout, visibility: "visible" };
+          break;
+
+        case "paint":
+          layer.paint = { ...layer.paint, [property]: value };
+          break;
+
+        case "layout":
+          layer.layout = { ...layer.layout, [property]: value };
+          break;
+
+        case "language":
+          // show labels in the requested language where available
+          if (layer.layout != null && layer.layout["text-field"] != null) {
+            layer.layout = {
+              ...layer.layout,
+              "text-field": localizeTextField(
+                layer.layout["text-field"],
+                patch.language,
+                patch
+              ),
+            };
+          }
+          break;
+
+        default:
+          throw new Error(`Unsupported style patch type: ${type}`);
+      }
+    });
+
+  return style;
+}
+
+function patchStyle(style, patches = [], transformStyle) {
+  // leave the original untouched
+  let patched = patches.reduce(applyPatch, JSON.parse(JSON.stringify(style)));
+
+  if (transformStyle != null) {
+    patched = transformStyle(patched) || patched;
+  }
+
+  return patched;
+}
+
+module.exports = {
+  fetchResource,
+  fetchStyleDescriptor,
+  getAttribution,
+  patchStyle,
+};
@@ -0,0 +1,139 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+const {
+  GetDevicePositionHistoryCommand,
+  ListDevicePositionsCommand,
+} = require("@aws-sdk/client-location");
+
+async function* getDevicePositionHistory(client, input) {
+  let NextToken;
+
+  do {
+    const response = await client.send(
+      new GetDevicePositionHistoryCommand({ ...input, NextToken })
+    );
+
+    yield* response.DevicePositions;
+
+    NextToken = response.NextToken;
+  } while (NextToken != null);
+}
+
+async function* listDevicePositions(client, input) {
+  let NextToken;
+
+  do {
+    const response = await client.send(
+      new ListDevicePositionsCommand({ ...input, NextToken })
+    );
+
+    yield* response.Entries;
+
+    NextToken = response.NextToken;
+  } while (NextToken != null);
+}
+
+function toISOString(date) {
+  return date == null ? undefined : new Date(date).toISOString();
+}
+
+function toPointFeature({
+  DeviceId,
+  Position,
+  SampleTime,
+  ReceivedTime,
+  Accuracy,
+  PositionProperties,
+}) {
+  return {
+    type: "Feature",
+    geometry: {
+      type: "Point",
+      coordinates: Position,
+    },
+    properties: {
+      deviceId: DeviceId,
+      sampleTime: toISOString(SampleTime),
+      // ListDevicePositions entries don't include a received time
+      receivedTime: toISOString(ReceivedTime),
+      accuracy: Accuracy,
+      positionProperties: PositionProperties,
+    },
+  };
+}
+
+function toLineStringFeature(deviceId, positions) {
+  // a line needs at least 2 positions
+  if (positions.length < 2) {
+    return toPointFeature(positions[0]);
+  }
+
+  return {
+    type: "Feature",
+    geometry: {
+      type: "LineString",
+      coordinates: positions.map(({ Position }) => Position),
+    },
+    // per-position values, in the same order as the coordinates
+    properties: {
+      deviceId,
+      sampleTimes: positions.map(({ SampleTime }) => toISOString(SampleTime)),
+      accuracies: positions.map(({ Accuracy }) => Accuracy),
+      positionProperties: positions.map(
+        ({ PositionProperties }) => PositionProperties
+      ),
+    },
+  };
+}
+
+async function devicePositionsToGeoJSON(
+  devicePositions,
+  { geometry = "Point" } = {}
+) {
+  // fail before paging through (and paying for) positions that can't be used
+  if (geometry !== "Point" && geometry !== "LineString") {
+    throw new Error(`Geometry must be Point or LineString: ${geometry}`);
+  }
+
+  const positions = [];
+
+  // accept both arrays and (async) iterators
+  for await (const position of devicePositions) {
+    positions.push(position);
+  }
+
+  if (geometry === "Point") {
+    return {
+      type: "FeatureCollection",
+      features: positions.map(toPointFeature),
+    };
+  }
+
+  const positionsByDevice = new Map();
+
+  positions.forEach((position) => {
+    const devicePositions = positionsByDevice.get(position.DeviceId) || [];
+
+    devicePositions.push(position);
+    positionsByDevice.set(position.DeviceId, devicePositions);
+  });
+
+  return {
+    type: "FeatureCollection",
+    features: [...positionsByDevice].map(([deviceId, devicePositions]) =>
+      toLineStringFeature(
+        deviceId,
+        devicePositions.sort(
+          (a, b) => new Date(a.SampleTime) - new Date(b.SampleTime)
+        )
+      )
+    ),
+  };
+}
+
+module.exports = {
+  devicePositionsToGeoJSON,
+  getDevicePositionHistory,
+  listDevicePositions,
+};
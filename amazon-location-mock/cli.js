@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+const { DEFAULT_CREDENTIALS, createMockServer } = require("./index");
+
+const port = Number(process.env.PORT || 8000);
+
+createMockServer({
+  apiKeys: process.env.API_KEYS != null ? process.env.API_KEYS.split(",") : [],
+  publicUrl: process.env.PUBLIC_URL,
+}).listen(port, () => {
+  console.log(
+    `Mock Amazon Location Service listening at http://localhost:${port}`
+  );
+  console.log(`Access key ID: ${DEFAULT_CREDENTIALS.accessKeyId}`);
+  console.log(`Secret access key: ${DEFAULT_CREDENTIALS.secretAccessKey}`);
+});
@@ -0,0 +1,21 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+// errors are reported the way AWS JSON APIs report them, so SDKs can parse them
+function serviceError(status, type, message) {
+  const err = new Error(message);
+
+  err.status = status;
+  err.type = type;
+
+  return err;
+}
+
+function validationError(message) {
+  return serviceError(400, "ValidationException", message);
+}
+
+module.exports = {
+  serviceError,
+  validationError,
+};
@@ -0,0 +1,46 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+const EARTH_RADIUS = 6371008.8;
+
+// great-circle distance between [longitude, latitude] positions, in meters
+function distance([lng1, lat1], [lng2, lat2]) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+}
+
+function bbox(positions) {
+  const lngs = positions.map(([lng]) => lng);
+  const lats = positions.map(([, lat]) => lat);
+
+  return [
+    Math.min(...lngs),
+    Math.min(...lats),
+    Math.max(...lngs),
+    Math.max(...lats),
+  ];
+}
+
+function isPosition(position) {
+  return (
+    Array.isArray(position) &&
+    position.length === 2 &&
+    position.every(Number.isFinite) &&
+    Math.abs(position[0]) <= 180 &&
+    Math.abs(position[1]) <= 90
+  );
+}
+
+module.exports = {
+  bbox,
+  distance,
+  isPosition,
+};
@@ -0,0 +1,192 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+const { serviceError, validationError } = require("./errors");
+const { bbox, distance, isPosition } = require("./geometry");
+
+const DATA_SOURCE = "Mock";
+
+function validateText(Text) {
+  if (typeof Text !== "string" || Text.trim() === "" || Text.length > 200) {
+    throw validationError("Text must be between 1 and 200 characters.");
+  }
+}
+
+function validatePosition(name, position) {
+  if (position != null && !isPosition(position)) {
+    throw validationError(`${name} must be a [longitude, latitude] position.`);
+  }
+}
+
+function validateMaxResults(MaxResults, max) {
+  if (
+    MaxResults != null &&
+    !(Number.isInteger(MaxResults) && MaxResults >= 1 && MaxResults <= max)
+  ) {
+    throw validationError(`MaxResults must be between 1 and ${max}.`);
+  }
+}
+
+function withinBBox([lng, lat], [minLng, minLat, maxLng, maxLat]) {
+  return lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat;
+}
+
+// places matching any words of the text, best matches first
+function matchText(
+  places,
+  { Text, BiasPosition, FilterBBox, FilterCountries, FilterCategories }
+) {
+  const words = Text.toLowerCase()
+    .split(/[\s,]+/)
+    .filter(Boolean);
+
+  return places
+    .filter(
+      ({ Geometry, Country, Categories = [] }) =>
+        (FilterBBox == null || withinBBox(Geometry.Point, FilterBBox)) &&
+        (FilterCountries == null || FilterCountries.includes(Country)) &&
+        (FilterCategories == null ||
+          FilterCategories.some((category) => Categories.includes(category)))
+    )
+    .map((place) => {
+      const label = place.Label.toLowerCase();
+
+      return {
+        place,
+        relevance:
+          words.filter((word) => label.includes(word)).length / words.length,
+        distance:
+          BiasPosition == null
+            ? undefined
+            : distance(BiasPosition, place.Geometry.Point),
+      };
+    })
+    .filter(({ relevance }) => relevance > 0)
+    .sort(
+      (a, b) =>
+        b.relevance - a.relevance ||
+        (a.distance || 0) - (b.distance || 0) ||
+        a.place.Label.localeCompare(b.place.Label)
+    );
+}
+
+function toPlace({ PlaceId, ...place }) {
+  return place;
+}
+
+function searchText(places, input) {
+  const { Text, BiasPosition, FilterBBox, MaxResults = 50 } = input;
+
+  validateText(Text);
+  validatePosition("BiasPosition", BiasPosition);
+  validateMaxResults(MaxResults, 50);
+
+  if (BiasPosition != null && FilterBBox != null) {
+    throw validationError(
+      "BiasPosition and FilterBBox are mutually exclusive."
+    );
+  }
+
+  const results = matchText(places, input).slice(0, MaxResults);
+
+  return {
+    Summary: {
+      ...input,
+      MaxResults,
+      DataSource: DATA_SOURCE,
+      ResultBBox:
+        results.length > 0
+          ? bbox(results.map(({ place }) => place.Geometry.Point))
+          : undefined,
+    },
+    Results: results.map(({ place, relevance, distance: Distance }) => ({
+      Place: toPlace(place),
+      PlaceId: place.PlaceId,
+      Relevance: relevance,
+      Distance,
+    })),
+  };
+}
+
+function searchPosition(places, input) {
+  const { Position, MaxResults = 50 } = input;
+
+  if (!isPosition(Position)) {
+    throw validationError("Position must be a [longitude, latitude] position.");
+  }
+
+  validateMaxResults(MaxResults, 50);
+
+  const results = places
+    .map((place) => ({
+      place,
+      distance: distance(Position, place.Geometry.Point),
+    }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MaxResults);
+
+  return {
+    Summary: {
+      ...input,
+      MaxResults,
+      DataSource: DATA_SOURCE,
+    },
+    Results: results.map(({ place, distance: Distance }) => ({
+      Place: toPlace(place),
+      PlaceId: place.PlaceId,
+      Distance,
+    })),
+  };
+}
+
+function searchSuggestions(places, input) {
+  const { Text, BiasPosition, FilterBBox, MaxResults = 5 } = input;
+
+  validateText(Text);
+  validatePosition("BiasPosition", BiasPosition);
+  validateMaxResults(MaxResults, 15);
+
+  if (BiasPosition != null && FilterBBox != null) {
+    throw validationError(
+      "BiasPosition and FilterBBox are mutually exclusive."
+    );
+  }
+
+  return {
+    Summary: {
+      ...input,
+      MaxResults,
+      DataSource: DATA_SOURCE,
+    },
+    Results: matchText(places, input)
+      .slice(0, MaxResults)
+      .map(({ place }) => ({
+        Text: place.Label,
+        PlaceId: place.PlaceId,
+        Categories: place.Categories,
+      })),
+  };
+}
+
+function getPlace(places, placeId) {
+  const place = places.find(({ PlaceId }) => PlaceId === placeId);
+
+  if (place == null) {
+    throw serviceError(
+      404,
+      "ResourceNotFoundException",
+      `Place not found: ${placeId}`
+    );
+  }
+
+  return {
+    Place: toPlace(place),
+  };
+}
+
+module.exports = {
+  getPlace,
+  searchPosition,
+  searchSuggestions,
+  searchText,
+};
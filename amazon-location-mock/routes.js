@@ -0,0 +1,132 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+const { validationError } = require("./errors");
+const { bbox, distance, isPosition } = require("./geometry");
+
+const MAX_WAYPOINTS = 23;
+// routes follow straight lines at a constant speed (in meters per second)
+const SPEEDS = {
+  Bicycle: 4.5,
+  Car: 13.9,
+  Motorcycle: 13.9,
+  Truck: 11.1,
+  Walking: 1.4,
+};
+const METERS_PER_UNIT = {
+  Kilometers: 1000,
+  Miles: 1609.344,
+};
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function midpoint([lng1, lat1], [lng2, lat2]) {
+  return [(lng1 + lng2) / 2, (lat1 + lat2) / 2];
+}
+
+function createLeg(start, end, { speed, unit, includeGeometry }) {
+  const middle = midpoint(start, end);
+  // each leg has 2 steps (to and from its midpoint), so step lists have something to show
+  const steps = [
+    [start, middle],
+    [middle, end],
+  ].map(([StartPosition, EndPosition], i) => {
+    const meters = distance(StartPosition, EndPosition);
+
+    return {
+      StartPosition,
+      EndPosition,
+      Distance: round(meters / METERS_PER_UNIT[unit]),
+      DurationSeconds: round(meters / speed),
+      GeometryOffset: includeGeometry ? i : undefined,
+    };
+  });
+
+  return {
+    StartPosition: start,
+    EndPosition: end,
+    Distance: round(steps.reduce((sum, step) => sum + step.Distance, 0)),
+    DurationSeconds: round(
+      steps.reduce((sum, step) => sum + step.DurationSeconds, 0)
+    ),
+    Geometry: includeGeometry
+      ? { LineString: [start, middle, end] }
+      : undefined,
+    Steps: steps,
+  };
+}
+
+function calculateRoute(input) {
+  const {
+    DeparturePosition,
+    DestinationPosition,
+    WaypointPositions = [],
+    TravelMode = "Car",
+    DistanceUnit = "Kilometers",
+    IncludeLegGeometry = false,
+  } = input;
+
+  if (!isPosition(DeparturePosition)) {
+    throw validationError(
+      "DeparturePosition must be a [longitude, latitude] position."
+    );
+  }
+
+  if (!isPosition(DestinationPosition)) {
+    throw validationError(
+      "DestinationPosition must be a [longitude, latitude] position."
+    );
+  }
+
+  if (
+    !Array.isArray(WaypointPositions) ||
+    WaypointPositions.length > MAX_WAYPOINTS ||
+    !WaypointPositions.every(isPosition)
+  ) {
+    throw validationError(
+      `WaypointPositions must be a list of up to ${MAX_WAYPOINTS} [longitude, latitude] positions.`
+    );
+  }
+
+  if (SPEEDS[TravelMode] == null) {
+    throw validationError(
+      `TravelMode must be one of ${Object.keys(SPEEDS).join(", ")}.`
+    );
+  }
+
+  if (METERS_PER_UNIT[DistanceUnit] == null) {
+    throw validationError("DistanceUnit must be Kilometers or Miles.");
+  }
+
+  const positions = [
+    DeparturePosition,
+    ...WaypointPositions,
+    DestinationPosition,
+  ];
+  const legs = positions.slice(0, -1).map((position, i) =>
+    createLeg(position, positions[i + 1], {
+      speed: SPEEDS[TravelMode],
+      unit: DistanceUnit,
+      includeGeometry: IncludeLegGeometry,
+    })
+  );
+
+  return {
+    Legs: legs,
+    Summary: {
+      RouteBBox: bbox(positions),
+      DataSource: "Mock",
+      Distance: round(legs.reduce((sum, leg) => sum + leg.Distance, 0)),
+      DurationSeconds: round(
+        legs.reduce((sum, leg) => sum + leg.DurationSeconds, 0)
+      ),
+      DistanceUnit,
+    },
+  };
+}
+
+module.exports = {
+  calculateRoute,
+};
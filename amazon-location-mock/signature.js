@@ -0,0 +1,243 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+const crypto = require("crypto");
+const { serviceError } = require("./errors");
+
+const ALGORITHM = "AWS4-HMAC-SHA256";
+// how far request dates may be from the current time (as with AWS)
+const MAX_CLOCK_SKEW = 15 * 60 * 1000;
+
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function hmac(key, value) {
+  return crypto.createHmac("sha256", key).update(value).digest();
+}
+
+function escapeRFC3986(value) {
+  return value.replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+function parseDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value);
+
+  if (match == null) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+}
+
+function invalidSignature(message) {
+  return serviceError(403, "InvalidSignatureException", message);
+}
+
+// AWS SDKs and AWS Amplify escape paths slightly differently, so both are accepted
+function canonicalPaths(path) {
+  const amplify = encodeURIComponent(path).replace(/%2F/gi, "/");
+
+  return [...new Set([amplify, escapeRFC3986(amplify)])];
+}
+
+function canonicalQuery(params) {
+  return params
+    .map(([key, value]) => `${key}=${escapeRFC3986(value)}`)
+    .sort((a, b) => {
+      const [keyA] = a.split("=");
+      const [keyB] = b.split("=");
+
+      if (keyA === keyB) {
+        return a < b ? -1 : 1;
+      }
+
+      return keyA < keyB ? -1 : 1;
+    })
+    .join("&");
+}
+
+function canonicalHeaders(headers, signedHeaders) {
+  return signedHeaders
+    .map((name) => {
+      const value = [].concat(headers[name] || "").join(",");
+
+      return `${name}:${value.trim().replace(/\s+/g, " ")}\n`;
+    })
+    .join("");
+}
+
+function parseAuthorization(header) {
+  const [algorithm, ...fields] = header.split(/[\s,]+/).filter(Boolean);
+  const values = Object.fromEntries(
+    fields.map((field) => {
+      const i = field.indexOf("=");
+
+      return [field.slice(0, i), field.slice(i + 1)];
+    })
+  );
+
+  return {
+    algorithm,
+    credential: values.Credential,
+    signedHeaders: values.SignedHeaders,
+    signature: values.Signature,
+  };
+}
+
+// raw (still encoded) query parameters, in order
+function parseQuery(query) {
+  return query
+    .split("&")
+    .filter((part) => part !== "")
+    .map((part) => {
+      const i = part.indexOf("=");
+
+      return i === -1 ? [part, ""] : [part.slice(0, i), part.slice(i + 1)];
+    });
+}
+
+function getSignatureInfo(req) {
+  const [path, query = ""] = req.url.split("?");
+  const params = parseQuery(query);
+  const param = (name) => {
+    const entry = params.find(([key]) => key === name);
+
+    return entry == null ? undefined : decodeURIComponent(entry[1]);
+  };
+
+  if (param("X-Amz-Signature") != null) {
+    // signed URL
+    return {
+      path,
+      algorithm: param("X-Amz-Algorithm"),
+      credential: param("X-Amz-Credential"),
+      date: param("X-Amz-Date"),
+      expires: Number(param("X-Amz-Expires") || MAX_CLOCK_SKEW / 1000),
+      signedHeaders: param("X-Amz-SignedHeaders"),
+      signature: param("X-Amz-Signature"),
+      sessionToken: param("X-Amz-Security-Token"),
+      params: params.filter(([key]) => key !== "X-Amz-Signature"),
+    };
+  }
+
+  if (req.headers.authorization != null) {
+    return {
+      path,
+      ...parseAuthorization(req.headers.authorization),
+      date: req.headers["x-amz-date"],
+      expires: MAX_CLOCK_SKEW / 1000,
+      sessionToken: req.headers["x-amz-security-token"],
+      // normalize the encoding of query parameters, as SDKs do
+      params: params.map(([key, value]) => [
+        key,
+        encodeURIComponent(decodeURIComponent(value)),
+      ]),
+    };
+  }
+
+  return null;
+}
+
+function verifySignature(req, body, credentials) {
+  const info = getSignatureInfo(req);
+
+  if (info == null) {
+    throw serviceError(
+      403,
+      "MissingAuthenticationTokenException",
+      "Missing Authentication Token"
+    );
+  }
+
+  if (info.algorithm !== ALGORITHM) {
+    throw invalidSignature(`Unsupported signing algorithm: ${info.algorithm}`);
+  }
+
+  const [accessKeyId, ...scopeParts] = (info.credential || "").split("/");
+  const [day, region, service, terminator] = scopeParts;
+  const match = credentials.find((c) => c.accessKeyId === accessKeyId);
+
+  if (match == null) {
+    throw serviceError(
+      403,
+      "UnrecognizedClientException",
+      "The security token included in the request is invalid."
+    );
+  }
+
+  if (match.sessionToken != null && match.sessionToken !== info.sessionToken) {
+    throw serviceError(
+      403,
+      "UnrecognizedClientException",
+      "The security token included in the request is invalid."
+    );
+  }
+
+  if (service !== "geo" || terminator !== "aws4_request") {
+    throw invalidSignature(
+      `Credential should be scoped to the geo service: ${info.credential}`
+    );
+  }
+
+  const date = parseDate(info.date);
+
+  if (date == null || info.date.slice(0, 8) !== day) {
+    throw invalidSignature(`Invalid X-Amz-Date: ${info.date}`);
+  }
+
+  const now = Date.now();
+
+  if (date - now > MAX_CLOCK_SKEW || now - date > info.expires * 1000) {
+    throw invalidSignature("Signature expired");
+  }
+
+  const signedHeaders = (info.signedHeaders || "").split(";");
+  const signingKey = [day, region, service, terminator].reduce(
+    hmac,
+    `AWS4${match.secretAccessKey}`
+  );
+
+  const valid = canonicalPaths(info.path).some((path) => {
+    const canonicalRequest = [
+      req.method,
+      path,
+      canonicalQuery(info.params),
+      canonicalHeaders(req.headers, signedHeaders),
+      signedHeaders.join(";"),
+      hash(body),
+    ].join("\n");
+
+    const stringToSign = [
+      ALGORITHM,
+      info.date,
+      scopeParts.join("/"),
+      hash(canonicalRequest),
+    ].join("\n");
+
+    const signature = hmac(signingKey, stringToSign).toString("hex");
+
+    return (
+      signature.length === info.signature.length &&
+      crypto.timingSafeEqual(
+        Buffer.from(signature),
+        Buffer.from(info.signature)
+      )
+    );
+  });
+
+  if (!valid) {
+    throw invalidSignature(
+      "The request signature we calculated does not match the signature you provided."
+    );
+  }
+}
+
+module.exports = {
+  verifySignature,
+};
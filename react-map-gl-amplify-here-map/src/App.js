@@ -13,12 +13,22 @@ import useDebounce from "./hooks/useDebounce";
 import {
   AppContext,
   defaultState,
+  MAX_STOPS,
   RoutingModesEnum,
   UnitsEnum,
 } from "./AppContext";
+import {
+  getBBox,
+  getStepCoordinates,
+  getWaypointIdxs,
+  hasPosition,
+  parseRoutingState,
+  serializeRoutingState,
+} from "./utils";
 import useWindowSize from "./hooks/useWindowSize";
 import Features from "./components/overlays/Features";
 import MarkerToast from "./components/overlays/MarkerToast";
+import Pin from "./components/overlays/Pin";
 import RoutingMenu from "./components/routing/RoutingMenu";
 import { Geo } from "@aws-amplify/geo";
 
@@ -32,6 +42,9 @@ function App() {
   const [markers, setMarkers] = useState(defaultState.markers);
   const [isRouting, setRouting] = useState(defaultState.isRouting);
   const [route, setRoute] = useState(defaultState.route);
+  const [highlightedStep, setHighlightedStep] = useState(
+    defaultState.highlightedStep
+  );
   const [routingMode, setRoutingMode] = useState(defaultState.routingMode);
   const [truckOptions, setTruckOptions] = useState(defaultState.truckOptions);
   const [carOptions, setCarOptions] = useState(defaultState.carOptions);
@@ -43,10 +56,22 @@ function App() {
   // Setting refs
   const mapRef = useRef();
   const isRouteZoomedRef = useRef(false);
+  // Keeps the view in place when the route changes because a marker was dragged on the map
+  const isViewKeptRef = useRef(false);
   const isPointZoomed = useRef(false);
   // Setting hooks
   const windowSize = useWindowSize();
   const debouncedViewport = useDebounce(viewport, 500);
+  // Markers are debounced so that the route is recalculated once they stop changing (e.g. while dragging)
+  const debouncedMarkers = useDebounce(markers, 300);
+  // Positions of the markers (null when not set), so the route isn't recalculated when a marker only gets its address
+  const debouncedPositions = JSON.stringify(
+    debouncedMarkers.map((marker) =>
+      hasPosition(marker) ? marker.geometry.point : null
+    )
+  );
+  // Point where the route line is being dragged to, to insert a new stop
+  const [lineDrag, setLineDrag] = useState(null);
   const [transformRequest, mapName, calculateRoute] =
     useAmazonLocationService();
 
@@ -68,6 +93,8 @@ function App() {
           left: 50,
           right: viewport.width > 768 ? 450 : 50,
         },
+        // Avoid zooming in too far on very short steps
+        maxZoom: 18,
       }
     );
     // Set the new viewport with interpolator http://visgl.github.io/react-map-gl/docs/api-reference/fly-to-interpolator
@@ -94,11 +121,17 @@ function App() {
     });
   }, []);
 
+  // Sets a new route, removing the step highlight first as the step might not exist in the new route
+  const updateRoute = useCallback((newRoute) => {
+    setHighlightedStep(defaultState.highlightedStep);
+    setRoute(newRoute);
+  }, []);
+
   // Reset the view to default values
   const resetView = () => {
     setRouting(defaultState.isRouting);
     setMarkers(defaultState.markers);
-    setRoute(defaultState.route);
+    updateRoute(defaultState.route);
     setRoutingMode(defaultState.routingMode);
     setTruckOptions(defaultState.truckOptions);
     setCarOptions(defaultState.carOptions);
@@ -107,6 +140,79 @@ function App() {
     isPointZoomed.current = false;
   };
 
+  // Side effect that restores the routing state from the URL when the app loads
+  useEffect(() => {
+    const state = parseRoutingState(window.location.hash);
+    if (state === null) {
+      return;
+    }
+    console.debug("Restoring routing state", state);
+    setRouting(true);
+    setRoutingMode(state.routingMode);
+    setCarOptions(state.carOptions);
+    setTruckOptions(state.truckOptions);
+    setDepartureTime(state.departureTime);
+    setUnits(state.units);
+    setDistanceUnit(UnitsEnum[state.units.toUpperCase()].distance);
+    // Restore the positions right away so the route can be calculated, then add their addresses
+    const restoredMarkers = state.positions.map((position) =>
+      position !== null ? { geometry: { point: position }, source: "url" } : {}
+    );
+    setMarkers(restoredMarkers);
+
+    const geocodeMarkers = async () => {
+      const geocodedMarkers = await Promise.all(
+        restoredMarkers.map(async (marker) => {
+          if (!hasPosition(marker)) {
+            return marker;
+          }
+          try {
+            const place = await Geo.searchByCoordinates(marker.geometry.point);
+            // Keep the restored position, so the route isn't calculated again
+            return { ...place, geometry: marker.geometry, source: "url" };
+          } catch (error) {
+            console.log(error);
+            return marker;
+          }
+        })
+      );
+      // Skip the addresses if the markers have been changed in the meantime
+      setMarkers((currentMarkers) =>
+        currentMarkers === restoredMarkers ? geocodedMarkers : currentMarkers
+      );
+    };
+
+    geocodeMarkers();
+  }, []);
+
+  // Side effect that keeps the routing state in the URL, so it survives a refresh and can be shared
+  useEffect(() => {
+    const hash = isRouting
+      ? serializeRoutingState({
+          markers,
+          routingMode,
+          carOptions,
+          truckOptions,
+          departureTime,
+          units,
+        })
+      : "";
+    const { pathname, search } = window.location;
+    window.history.replaceState(
+      null,
+      "",
+      hash !== "" ? `#${hash}` : `${pathname}${search}`
+    );
+  }, [
+    isRouting,
+    markers,
+    routingMode,
+    carOptions,
+    truckOptions,
+    departureTime,
+    units,
+  ]);
+
   // Side effect that runs every time there is a new route and it hasn't yet been zoomed to
   useEffect(() => {
     if (route !== defaultState.route && !isRouteZoomedRef.current) {
@@ -124,49 +230,52 @@ function App() {
 
   // Side effect that calculates a new route every time one of the options changes
   useEffect(() => {
+    const positions = JSON.parse(debouncedPositions);
     const route = async () => {
       try {
         // Calculate the route using the function from the useAmazonLocationService hook
         const res = await calculateRoute(
           routingMode,
-          markers.map((marker) => marker.geometry.point),
+          // Stops that haven't been set yet are skipped
+          positions.filter((position) => position !== null),
           carOptions,
           truckOptions,
           departureTime,
           distanceUnit
         );
         console.debug("Route retrieved", res);
-        // Reset the zoom ref to false so the route can be zoomed to
-        isRouteZoomedRef.current = false;
+        // Reset the zoom ref to false so the route can be zoomed to, unless the view has to be kept
+        isRouteZoomedRef.current = isViewKeptRef.current;
+        isViewKeptRef.current = false;
         // Remove metadata from response to avoid polluting state
         delete res.$metadata;
-        setRoute(res);
+        updateRoute(res);
       } catch (error) {
         console.log(error);
       }
     };
 
-    // Run the route function only when there are at least two valid markers
+    // Run the route function only when both the origin and the destination are set
     if (
-      markers.length >= 2 &&
-      markers.every(
-        (marker) =>
-          marker !== undefined &&
-          typeof marker === "object" &&
-          Object.keys(marker).length > 0
-      )
+      positions.length >= 2 &&
+      positions[0] !== null &&
+      positions[positions.length - 1] !== null
     ) {
-      console.debug("Calculating route with markers", markers);
+      console.debug("Calculating route with positions", positions);
       route();
+    } else {
+      // Otherwise the previous route no longer applies
+      updateRoute(defaultState.route);
     }
   }, [
-    markers,
+    debouncedPositions,
     routingMode,
     carOptions,
     truckOptions,
     departureTime,
     calculateRoute,
     distanceUnit,
+    updateRoute,
   ]);
 
   // Action router that handles Routing events from the Hub
@@ -178,6 +287,10 @@ function App() {
     // Enter routing mode
     if (event === "startRouting") {
       setRouting(true);
+      // An existing marker becomes the destination
+      if (markers.length === 1) {
+        setMarkers([{}, markers[0]]);
+      }
       // Exit routing mode
     } else if (event === "endRouting") {
       resetView();
@@ -237,6 +350,36 @@ function App() {
         setTruckOptions(newState);
         setUnits(data);
       }
+      // Highlight a step of the route and fly to it, or remove the highlight
+    } else if (event === "highlightStep") {
+      setHighlightedStep(data);
+      if (data !== null) {
+        const { legIdx, stepIdx } = data;
+        zoomToRoute(
+          getBBox(getStepCoordinates(route.Legs[legIdx], stepIdx)),
+          viewport
+        );
+      }
+    }
+  };
+
+  // Sets markers with one that has just been placed on the map, then adds its address once it's retrieved
+  const setMarkersWithGeocode = async (newMarkers, idx) => {
+    const marker = newMarkers[idx];
+    isViewKeptRef.current = true;
+    setMarkers(newMarkers);
+    try {
+      const place = await Geo.searchByCoordinates(marker.geometry.point);
+      // Keep the position the marker was placed at, and skip it if it has been moved or removed in the meantime
+      setMarkers((currentMarkers) =>
+        currentMarkers.map((currentMarker) =>
+          currentMarker === marker
+            ? { ...place, geometry: marker.geometry, source: marker.source }
+            : currentMarker
+        )
+      );
+    } catch (error) {
+      console.log(error);
     }
   };
 
@@ -246,22 +389,63 @@ function App() {
     // Reset the markers, and so also the view
     if (payload.event === "closeToast" || payload.event === "cleanUp") {
       resetView();
-      // Swaps the position of the markers
+      // Reverses the order of the markers, so the destination becomes the origin
     } else if (payload.event === "swapMarkers") {
       console.debug("Swapping markers", payload.data);
-      const newMarkers = [];
-      // If there's only one marker, we know it was a destination, so we put it in first place
-      if (markers.length === 1) {
-        newMarkers[0] = markers[0];
-        newMarkers[1] = {};
-        // If there are two markers we just swap them
-      } else if (markers.length === 2) {
-        newMarkers[0] = markers[1];
-        newMarkers[1] = markers[0];
+      setMarkers([...markers].reverse());
+      // Adds an empty stop before the destination
+    } else if (payload.event === "addStop") {
+      if (markers.length - 2 >= MAX_STOPS) {
+        return;
+      }
+      console.debug("Adding stop");
+      const newMarkers = [...markers];
+      newMarkers.splice(Math.max(newMarkers.length - 1, 0), 0, {});
+      setMarkers(newMarkers);
+      // Removes a marker, or clears it if it's the origin or destination of a route without stops
+    } else if (payload.event === "removeMarker") {
+      const { idx } = payload.data;
+      console.debug("Removing marker", idx);
+      const newMarkers = [...markers];
+      if (newMarkers.length > 2) {
+        newMarkers.splice(idx, 1);
+      } else {
+        newMarkers[idx] = {};
+      }
+      setMarkers(newMarkers);
+      // Moves a marker to a new position in the list
+    } else if (payload.event === "moveMarker") {
+      const { from, to } = payload.data;
+      if (to < 0 || to >= markers.length) {
+        return;
       }
+      console.debug("Moving marker from %d to %d", from, to);
+      const newMarkers = [...markers];
+      const [marker] = newMarkers.splice(from, 1);
+      newMarkers.splice(to, 0, marker);
       setMarkers(newMarkers);
+      // Moves a marker that has been dragged on the map
+    } else if (payload.event === "dragMarker") {
+      const { idx, lngLat } = payload.data;
+      console.debug("Dragged marker %d", idx);
+      const newMarkers = [...markers];
+      newMarkers[idx] = { geometry: { point: lngLat }, source: data.source };
+      setMarkersWithGeocode(newMarkers, idx);
+      // Inserts a stop where the route line was dragged to
+    } else if (payload.event === "insertMarker") {
+      if (markers.length - 2 >= MAX_STOPS) {
+        return;
+      }
+      const { idx, lngLat } = payload.data;
+      console.debug("Inserting marker at %d", idx);
+      const newMarkers = [...markers];
+      newMarkers.splice(idx, 0, {
+        geometry: { point: lngLat },
+        source: data.source,
+      });
+      setMarkersWithGeocode(newMarkers, idx);
     } else if (payload.event === "setMarker") {
-      const { force, geocode } = payload.data;
+      const { geocode } = payload.data;
       console.debug("Set marker %s", geocode ? "with geocode" : "");
       let marker;
       if (geocode) {
@@ -273,20 +457,12 @@ function App() {
       } else {
         marker = payload.data.marker;
       }
-      let newMarkers = [...markers];
-      if (newMarkers[payload.data.idx] !== undefined && !force) {
-        newMarkers = [...newMarkers].slice();
-        newMarkers.unshift({
-          ...marker,
-          source: data.source,
-        });
-      } else {
-        newMarkers[payload.data.idx] = {
-          ...marker,
-          source: data.source,
-        };
-        if (payload.data.idx === 0) isPointZoomed.current = false;
-      }
+      const newMarkers = [...markers];
+      newMarkers[payload.data.idx] = {
+        ...marker,
+        source: data.source,
+      };
+      if (payload.data.idx === 0) isPointZoomed.current = false;
       setMarkers(newMarkers);
     }
   };
@@ -313,8 +489,49 @@ function App() {
     };
   });
 
+  // Handlers for dragging the route line to insert a stop
+  const handleMapMouseDown = (e) => {
+    const feature = e.features?.find((f) => f.layer.id === "linesLayer");
+    if (isRouting && feature !== undefined) {
+      setLineDrag({
+        // The stop goes right before the end of the dragged leg
+        idx: getWaypointIdxs(markers)[feature.properties.legIndex + 1],
+        lngLat: e.lngLat,
+        isMoved: false,
+      });
+    }
+  };
+
+  const handleMapMouseMove = (e) => {
+    if (lineDrag !== null) {
+      setLineDrag({ ...lineDrag, lngLat: e.lngLat, isMoved: true });
+    }
+  };
+
+  const handleMapMouseUp = (e) => {
+    if (lineDrag === null) {
+      return;
+    }
+    // A click on the route line doesn't insert a stop
+    if (lineDrag.isMoved) {
+      Hub.dispatch(
+        "Markers",
+        {
+          event: "insertMarker",
+          data: { idx: lineDrag.idx, lngLat: e.lngLat },
+        },
+        "map"
+      );
+    }
+    setLineDrag(null);
+  };
+
   // Handler for the map click event
   const handleMapClick = async (e) => {
+    // The route line is dragged to insert stops, so clicks on it don't set markers
+    if (e.features?.some((f) => f.layer.id === "linesLayer")) {
+      return;
+    }
     // When there's already a marker and we are not in routing mode we just remove the existing marker
     if (markers.length > 0 && !isRouting) {
       Hub.dispatch("Markers", { event: "cleanUp" });
@@ -324,14 +541,13 @@ function App() {
     console.debug("Retrieving new marker");
     const { lngLat } = e;
 
-    let data;
-    if (markers.length === 0 || markers.length === 2) {
-      // If there are no markers or there are already two (one might be a placeholder) then we set it as first marker (origin)
-      data = { idx: 0, lngLat: lngLat, geocode: true, force: true };
-    } else if (markers.length === 1) {
-      // Else if there is one marker we set the new one as first but shift the second to destination
-      data = { idx: 0, lngLat: lngLat, geocode: true, force: false };
-    }
+    // Fill the first empty origin, stop, or destination, otherwise replace the origin
+    const emptyIdx = markers.findIndex((marker) => !hasPosition(marker));
+    const data = {
+      idx: emptyIdx !== -1 ? emptyIdx : 0,
+      lngLat: lngLat,
+      geocode: true,
+    };
 
     // Dispatch event with constructed payload
     Hub.dispatch(
@@ -356,6 +572,7 @@ function App() {
           windowSize: windowSize,
           markers: markers,
           route: route,
+          highlightedStep: highlightedStep,
           routingMode: routingMode,
           truckOptions: truckOptions,
           carOptions: carOptions,
@@ -411,6 +628,19 @@ function App() {
             mapStyle={mapName}
             onViewportChange={setViewport}
             onClick={(e) => handleMapClick(e)}
+            onMouseDown={handleMapMouseDown}
+            onMouseMove={handleMapMouseMove}
+            onMouseUp={handleMapMouseUp}
+            interactiveLayerIds={isRouting ? ["linesLayer"] : []}
+            // The map can't be panned while the route line is dragged
+            dragPan={lineDrag === null}
+            getCursor={({ isHovering, isDragging }) =>
+              isDragging || lineDrag !== null
+                ? "grabbing"
+                : isHovering
+                ? "pointer"
+                : "grab"
+            }
             ref={mapRef}
             attributionControl={false}
             asyncRender={true}
@@ -419,6 +649,14 @@ function App() {
           >
             <Controls />
             <Features />
+            {/* Stop that will be inserted where the route line is dropped */}
+            {lineDrag?.isMoved ? (
+              <Pin
+                geometry={{ point: lineDrag.lngLat }}
+                idx={lineDrag.idx}
+                count={markers.length + 1}
+              />
+            ) : null}
           </ReactMapGL>
         ) : (
           // Otherwise just show a loading indicator
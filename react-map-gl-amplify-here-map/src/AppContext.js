@@ -26,10 +26,14 @@ const UnitsEnum = Object.freeze({
   }),
 });
 
+// Maximum number of stops between origin and destination (CalculateRoute accepts up to 23)
+const MAX_STOPS = 20;
+
 const defaultState = {
   viewportCenter: [],
   markers: [],
   route: {},
+  highlightedStep: null,
   routingMode: RoutingModesEnum.CAR,
   truckOptions: {
     AvoidTolls: false,
@@ -48,4 +52,4 @@ const defaultState = {
 
 const AppContext = createContext(defaultState);
 
-export { defaultState, AppContext, RoutingModesEnum, UnitsEnum };
+export { defaultState, AppContext, MAX_STOPS, RoutingModesEnum, UnitsEnum };
@@ -4,6 +4,7 @@
 import { useContext } from "react";
 import { Source, Layer } from "react-map-gl";
 import { AppContext, RoutingModesEnum } from "../../AppContext";
+import { getStepCoordinates } from "../../utils";
 import Pin from "./Pin";
 
 const layerStyleWalking = {
@@ -31,6 +32,19 @@ const layerStyleDriving = {
   },
 };
 
+// Drawn on top of the route to highlight the step selected in the directions
+const layerStyleHighlight = {
+  id: "highlightLayer",
+  type: "line",
+  layout: {
+    "line-cap": "round",
+  },
+  paint: {
+    "line-color": "#F59E0B",
+    "line-width": 8,
+  },
+};
+
 function Features() {
   const context = useContext(AppContext);
 
@@ -40,6 +54,14 @@ function Features() {
   }
 
   // Define style based on routing mode
+  // The highlighted step, if it's part of the current route
+  const highlightedStep =
+    context.highlightedStep !== null
+      ? context.route.Legs?.[context.highlightedStep.legIdx]?.Steps[
+          context.highlightedStep.stepIdx
+        ]
+      : undefined;
+
   const style =
     context.routingMode === RoutingModesEnum.WALKING
       ? layerStyleWalking
@@ -49,9 +71,11 @@ function Features() {
     // Display on Pin for each marker
     context.markers.map((marker, idx) => (
       <Pin
-        key={(marker?.geometry && JSON.stringify(marker.geometry)) || 0}
+        key={`${idx}-${marker?.geometry && JSON.stringify(marker.geometry)}`}
         geometry={marker?.geometry}
         idx={idx}
+        count={context.markers.length}
+        draggable={context.isRouting}
       />
     )),
     // If there's a route, display it
@@ -62,21 +86,40 @@ function Features() {
         type="geojson"
         data={{
           type: "FeatureCollection",
-          features: [
-            {
-              type: "Feature",
-              geometry: {
-                type: "LineString",
-                coordinates: context.route.Legs[0].Geometry.LineString,
-              },
-              properties: null,
+          // One line for each leg (between consecutive waypoints)
+          features: context.route.Legs.map((leg, idx) => ({
+            type: "Feature",
+            geometry: {
+              type: "LineString",
+              coordinates: leg.Geometry.LineString,
             },
-          ],
+            properties: { legIndex: idx },
+          })),
         }}
       >
         <Layer {...style} />
       </Source>
     ) : null,
+    // If a step is highlighted, display it
+    highlightedStep !== undefined ? (
+      <Source
+        key="highlight"
+        id="highlight-data"
+        type="geojson"
+        data={{
+          type: "Feature",
+          geometry: {
+            type: "LineString",
+            coordinates: getStepCoordinates(
+              context.route.Legs[context.highlightedStep.legIdx],
+              context.highlightedStep.stepIdx
+            ),
+          },
+        }}
+      >
+        <Layer {...layerStyleHighlight} />
+      </Source>
+    ) : null,
   ];
 }
 
@@ -3,16 +3,18 @@
 
 import { memo } from "react";
 import { Marker } from "react-map-gl";
+import { Hub } from "@aws-amplify/core";
+import { formatWaypointLabel } from "../../utils";
 
 const ICON = `M12 0c-4.198 0-8 3.403-8 7.602 0 4.198 3.469 9.21 8 16.398 4.531-7.188 8-12.2 8-16.398 0-4.199-3.801-7.602-8-7.602zm0 11c-1.657 0-3-1.343-3-3s1.343-3 3-3 3 1.343 3 3-1.343 3-3 3z`;
 
 // Memoized SVG icon
-const Icon = memo(() => {
+const Icon = memo(({ color }) => {
   return (
     <svg
       height={32}
       viewBox="0 0 24 24"
-      className={`fill-current text-red-600`}
+      className={`fill-current ${color}`}
       style={{ stroke: "#000", strokeWidth: 1.5 }}
     >
       <path d={ICON} />
@@ -20,9 +22,19 @@ const Icon = memo(() => {
   );
 });
 
+// Helper function to pick a color for the origin (green), stops (blue), and destination (red)
+const getColor = (idx, count) => {
+  if (count > 1 && idx === 0) {
+    return "text-green-600";
+  } else if (idx < count - 1) {
+    return "text-blue-600";
+  }
+  return "text-red-600";
+};
+
 // Component: Pin - A basic map marker pin
 function Pin(props) {
-  const { geometry } = props;
+  const { geometry, idx = 0, count = 1, draggable = false } = props;
 
   if (geometry == null || geometry === undefined) {
     return null;
@@ -35,9 +47,21 @@ function Pin(props) {
         latitude={geometry.point[1]}
         offsetTop={-20}
         offsetLeft={-10}
-        draggable={false}
+        draggable={draggable}
+        onDragEnd={(e) =>
+          Hub.dispatch(
+            "Markers",
+            {
+              event: "dragMarker",
+              data: { idx, lngLat: e.lngLat },
+            },
+            "map"
+          )
+        }
       >
-        <Icon />
+        <div title={count > 1 ? formatWaypointLabel(idx) : undefined}>
+          <Icon color={getColor(idx, count)} />
+        </div>
       </Marker>
     </div>
   );
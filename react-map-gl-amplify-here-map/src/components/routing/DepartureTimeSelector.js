@@ -1,10 +1,10 @@
 // Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
 
-import { useState, useEffect, useRef } from "react";
+import { useContext, useState, useEffect, useRef } from "react";
 import { Hub } from "@aws-amplify/core";
 import useDebounce from "../../hooks/useDebounce";
-import { defaultState } from "../../AppContext";
+import { AppContext, defaultState } from "../../AppContext";
 import Button from "../primitives/Button";
 
 const DepartureTimeHoursOption = ({ date }) => {
@@ -98,8 +98,12 @@ const DepartureTimeHoursSelect = ({ departureTime, setDepartureTime }) => {
 
 // TODO: Comment this component
 const DepartureTimeSelector = ({ isOptionOpen, setIsOptionOpen }) => {
-  const [departureTime, setDepartureTime] = useState(null);
-  const [isLeaveNow, setIsLeaveNow] = useState(true);
+  const context = useContext(AppContext);
+  // Start from the current departure time, which might have been restored from the URL
+  const [departureTime, setDepartureTime] = useState(context.departureTime);
+  const [isLeaveNow, setIsLeaveNow] = useState(
+    context.departureTime === defaultState.departureTime
+  );
   const debouncedDepartureTime = useDebounce(departureTime, 500);
   const dateInputRef = useRef();
   const maxDate = new Date(new Date().setDate(new Date().getDate() + 30));
@@ -189,7 +193,10 @@ const DepartureTimeSelector = ({ isOptionOpen, setIsOptionOpen }) => {
     <>
       <div className="w-full flex">
         <div className="w-3/4">
-          <select onChange={handleDepartureChange}>
+          <select
+            onChange={handleDepartureChange}
+            defaultValue={isLeaveNow ? 1 : 0}
+          >
             <option value={1}>Leave Now</option>
             <option value={0}>Depart At</option>
           </select>
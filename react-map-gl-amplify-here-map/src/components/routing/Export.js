@@ -0,0 +1,39 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import { useContext } from "react";
+import { AppContext } from "../../AppContext";
+import { downloadRoute, EXPORT_FORMATS } from "../../exporters";
+import { getWaypointIdxs } from "../../utils";
+import Button from "../primitives/Button";
+
+// Component: Export - buttons to download the route as GPX, KML, or GeoJSON
+const Export = () => {
+  const context = useContext(AppContext);
+
+  // While the markers change the route is recalculated, and until then it doesn't match them
+  if (
+    getWaypointIdxs(context.markers).length !==
+    context.route.Legs.length + 1
+  ) {
+    return null;
+  }
+
+  return (
+    <div className="w-full flex items-center py-1">
+      <p className="w-1/4 text-sm">Export:</p>
+      {Object.values(EXPORT_FORMATS).map((format) => (
+        <Button
+          key={format.extension}
+          className="w-1/4 text-center text-sm uppercase"
+          title={`Download the route as ${format.label}`}
+          onPress={() => downloadRoute(format, context.route, context.markers)}
+        >
+          {format.label}
+        </Button>
+      ))}
+    </div>
+  );
+};
+
+export default Export;
@@ -3,32 +3,12 @@
 
 import { useContext, useEffect, useState, useRef } from "react";
 import { Hub } from "@aws-amplify/core";
-import { AppContext } from "../../AppContext";
+import { AppContext, MAX_STOPS } from "../../AppContext";
 import useDebounce from "../../hooks/useDebounce";
 import { Geo } from "@aws-amplify/geo";
 import Button from "../primitives/Button";
 import NavigationIcon from "../primitives/NavigateIcon";
-
-// Helper function to format address
-const formatAddress = ({
-  label,
-  street,
-  addressNumber,
-  postalCode,
-  municipality,
-  country,
-}) => {
-  if (label) {
-    return label;
-  }
-  const address = [];
-  if (street !== undefined) address.push(street);
-  if (addressNumber !== undefined) address.push(addressNumber);
-  if (postalCode !== undefined) address.push(postalCode);
-  if (municipality !== undefined) address.push(municipality);
-
-  return address.join(", ");
-};
+import { formatAddress, formatWaypointLabel } from "../../utils";
 
 // Component: RoutingMenuInput - Input for routing with debounced state and events
 const RoutingMenuInput = ({
@@ -82,7 +62,8 @@ const RoutingMenuInput = ({
 // Component: Inputs - Routing inputs
 const Inputs = ({ setHasSuggestions }) => {
   const context = useContext(AppContext);
-  let inputs = [...context.markers];
+  // Markers that haven't been set are empty placeholders
+  let inputs = Array.from(context.markers, (marker) => marker || {});
   const [suggestions, setSuggestions] = useState([]);
   const [focusedInputIdx, setFocusedInputIdx] = useState(-1);
   const isDirtyRef = useRef(false);
@@ -131,14 +112,6 @@ const Inputs = ({ setHasSuggestions }) => {
     console.debug("Should update input w index", focusedInputIdx);
     setSuggestions([]);
     setHasSuggestions(false);
-    let force;
-    if (!context.isRouting && context.markers.length === 0) {
-      force = true;
-    } else if (!context.isRouting && context.markers.length === 1) {
-      force = true;
-    } else if (context.markers.length === 2) {
-      force = true;
-    }
     Hub.dispatch(
       "Markers",
       {
@@ -147,22 +120,21 @@ const Inputs = ({ setHasSuggestions }) => {
           idx: focusedInputIdx,
           marker: result,
           geocode: false,
-          force: force,
         },
       },
       "routingMenu"
     );
   };
 
-  if (inputs[0] === undefined && !context.isRouting) {
-    // Inputs are mapped to the markers, if there's no marker show at least one input
-    inputs[0] = {};
-  } else if (context.isRouting && inputs.length < 2) {
-    // Else, if we are in routing mode and there's only one marker, let's assume it's a destination and prepend an empty field
-    const newInputs = [...inputs].slice();
-    newInputs.unshift({});
-    inputs = newInputs;
+  // Inputs are mapped to the markers (origin, stops, destination), if there's no marker show at least one input
+  if (inputs.length === 0) {
+    inputs = [{}];
   }
+  // When routing there's always an origin and a destination, even if they're not set yet
+  if (context.isRouting && inputs.length < 2) {
+    inputs = [...inputs, {}];
+  }
+  const canAddStop = inputs.length - 2 < MAX_STOPS;
 
   return (
     <>
@@ -170,8 +142,16 @@ const Inputs = ({ setHasSuggestions }) => {
         <div className={inputs.length === 1 ? "w-full" : "w-11/12"}>
           {inputs.map((marker, idx) => (
             <div
-              key={JSON.stringify(marker?.geometry) + isDirtyRef.current || 0}
+              key={`${idx}-${JSON.stringify(marker?.geometry)}-${
+                isDirtyRef.current
+              }`}
+              className="flex items-center"
             >
+              {context.isRouting ? (
+                <span className="w-5 mb-1 text-sm font-semibold text-gray-500">
+                  {formatWaypointLabel(idx)}
+                </span>
+              ) : null}
               <RoutingMenuInput
                 marker={isDirtyRef.current || context.isRouting ? marker : {}}
                 idx={idx}
@@ -181,10 +161,56 @@ const Inputs = ({ setHasSuggestions }) => {
                   setHasSuggestions(false);
                 }}
               />
+              {context.isRouting ? (
+                <div className="flex mb-1 ml-1">
+                  <Button
+                    title="Move up"
+                    className={`w-5 text-xs cursor-pointer ${
+                      idx === 0 ? "opacity-25" : ""
+                    }`}
+                    isDisabled={idx === 0}
+                    onPress={() =>
+                      Hub.dispatch("Markers", {
+                        event: "moveMarker",
+                        data: { from: idx, to: idx - 1 },
+                      })
+                    }
+                  >
+                    ▲
+                  </Button>
+                  <Button
+                    title="Move down"
+                    className={`w-5 text-xs cursor-pointer ${
+                      idx === inputs.length - 1 ? "opacity-25" : ""
+                    }`}
+                    isDisabled={idx === inputs.length - 1}
+                    onPress={() =>
+                      Hub.dispatch("Markers", {
+                        event: "moveMarker",
+                        data: { from: idx, to: idx + 1 },
+                      })
+                    }
+                  >
+                    ▼
+                  </Button>
+                  <Button
+                    title="Remove"
+                    className="w-5 text-xs cursor-pointer"
+                    onPress={() =>
+                      Hub.dispatch("Markers", {
+                        event: "removeMarker",
+                        data: { idx },
+                      })
+                    }
+                  >
+                    ✖️
+                  </Button>
+                </div>
+              ) : null}
             </div>
           ))}
         </div>
-        {inputs.length === 2 ? (
+        {inputs.length >= 2 ? (
           <div
             className="w-1/12 flex justify-center items-center cursor-pointer"
             onClick={() => {
@@ -202,6 +228,24 @@ const Inputs = ({ setHasSuggestions }) => {
           </div>
         ) : null}
       </div>
+      {context.isRouting && suggestions.length === 0 ? (
+        <div className="flex justify-start">
+          <Button
+            title={
+              canAddStop
+                ? "Add stop"
+                : `Routes can have up to ${MAX_STOPS} stops`
+            }
+            className={`text-sm cursor-pointer text-yellow-600 hover:text-yellow-700 ${
+              canAddStop ? "" : "opacity-50"
+            }`}
+            isDisabled={!canAddStop}
+            onPress={() => Hub.dispatch("Markers", { event: "addStop" })}
+          >
+            + Add stop
+          </Button>
+        </div>
+      ) : null}
       {inputs.length === 1 &&
       Object.keys(inputs[0]).length > 0 &&
       suggestions.length === 0 &&
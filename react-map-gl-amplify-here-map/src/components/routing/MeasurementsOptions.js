@@ -7,7 +7,7 @@ import { useRadioGroupState } from "@react-stately/radio";
 import { useRadio, useRadioGroup } from "@react-aria/radio";
 import { VisuallyHidden } from "@react-aria/visually-hidden";
 import { useFocusRing } from "@react-aria/focus";
-import { AppContext, defaultState, UnitsEnum } from "../../AppContext";
+import { AppContext, UnitsEnum } from "../../AppContext";
 
 let MeasurementsContext = createContext(null);
 
@@ -48,14 +48,15 @@ const MeasurementsOptions = () => {
   // Side effect that runs when the selected unit value changes
   useEffect(() => {
     if (state.selectedValue === undefined) {
-      state.setSelectedValue(defaultState.units);
+      // Start from the current units, which might have been restored from the URL
+      state.setSelectedValue(context.units);
     } else if (state.selectedValue !== undefined) {
       Hub.dispatch("Routing", {
         event: "changeUnits",
         data: state.selectedValue,
       });
     }
-  }, [state, context.routingMode]);
+  }, [state, context.routingMode, context.units]);
 
   return (
     <div {...radioGroupProps}>
@@ -6,6 +6,9 @@ import { AppContext } from "../../AppContext";
 import ModeSelector from "./ModeSelector";
 import Options from "./Options";
 import Summary from "./Summary";
+import Steps from "./Steps";
+import ShareLink from "./ShareLink";
+import Export from "./Export";
 import Inputs from "./Inputs";
 
 // Component: RoutingMenu - Routing menu always displayed on map
@@ -29,6 +32,14 @@ function RoutingMenu() {
       {"Summary" in context.route && hasSuggestions === false ? (
         <Summary data={context.route.Summary} />
       ) : null}
+      {/* If there's a route show a link to share it */}
+      {"Summary" in context.route && hasSuggestions === false ? (
+        <ShareLink />
+      ) : null}
+      {/* If there's a route show the formats it can be downloaded in */}
+      {"Legs" in context.route && hasSuggestions === false ? <Export /> : null}
+      {/* If there's a route show its turn-by-turn directions */}
+      {"Legs" in context.route && hasSuggestions === false ? <Steps /> : null}
     </div>
   );
 }
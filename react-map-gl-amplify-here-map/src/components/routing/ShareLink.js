@@ -0,0 +1,60 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import { useContext, useEffect, useRef, useState } from "react";
+import { AppContext } from "../../AppContext";
+import { serializeRoutingState } from "../../utils";
+import Button from "../primitives/Button";
+
+// Component: ShareLink - displays a link to the current route that can be copied
+const ShareLink = () => {
+  const context = useContext(AppContext);
+  const [isCopied, setIsCopied] = useState(false);
+  const inputRef = useRef();
+
+  const { origin, pathname, search } = window.location;
+  const link = `${origin}${pathname}${search}#${serializeRoutingState(
+    context
+  )}`;
+
+  // Side effect that resets the button label a while after the link is copied
+  useEffect(() => {
+    if (!isCopied) {
+      return;
+    }
+    const timeout = setTimeout(() => setIsCopied(false), 2000);
+    return () => clearTimeout(timeout);
+  }, [isCopied]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setIsCopied(true);
+    } catch (error) {
+      // The clipboard isn't available (e.g. on insecure origins), so the link is selected to be copied manually
+      console.log(error);
+      inputRef.current.select();
+    }
+  };
+
+  return (
+    <div className="w-full flex py-1">
+      <input
+        ref={inputRef}
+        className="w-3/4 text-sm text-gray-500 bg-transparent truncate"
+        value={link}
+        onFocus={(e) => e.target.select()}
+        readOnly
+        aria-label="Link to this route"
+      />
+      <Button
+        className="w-1/4 text-center text-sm uppercase"
+        onPress={handleCopy}
+      >
+        {isCopied ? "Copied" : "Copy link"}
+      </Button>
+    </div>
+  );
+};
+
+export default ShareLink;
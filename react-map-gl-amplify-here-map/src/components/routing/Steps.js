@@ -0,0 +1,100 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import { useContext, useState } from "react";
+import { Hub } from "@aws-amplify/core";
+import { AppContext } from "../../AppContext";
+import Button from "../primitives/Button";
+import {
+  formatDistance,
+  formatManeuver,
+  formatTime,
+  formatWaypointLabel,
+  getWaypointIdxs,
+} from "../../utils";
+
+// Helper function to dispatch the step to highlight and fly to (or null to remove the highlight)
+const highlightStep = (step) => {
+  Hub.dispatch("Routing", { event: "highlightStep", data: step });
+};
+
+// Component: Steps - expandable list of turn-by-turn directions for the route
+const Steps = () => {
+  const context = useContext(AppContext);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const { Legs: legs = [], Summary: summary } = context.route;
+  const stepCount = legs.reduce((count, leg) => count + leg.Steps.length, 0);
+  const waypointIdxs = getWaypointIdxs(context.markers);
+
+  if (stepCount === 0) {
+    return null;
+  }
+
+  // Time elapsed since departure at the end of each step
+  let elapsed = 0;
+
+  return (
+    <div className="py-1">
+      <Button
+        className="w-full text-left text-sm uppercase"
+        onPress={() => {
+          setIsOpen(!isOpen);
+          highlightStep(null);
+        }}
+      >
+        {isOpen ? "▾" : "▸"} Directions ({stepCount} steps)
+      </Button>
+      {isOpen ? (
+        <ol
+          className="max-h-64 overflow-y-auto mt-1"
+          onMouseLeave={() => highlightStep(null)}
+        >
+          {legs.map((leg, legIdx) => [
+            // Show where each leg starts and ends when there are stops
+            legs.length > 1 ? (
+              <li
+                key={`leg-${legIdx}`}
+                className="text-sm font-semibold text-gray-500 pt-1"
+              >
+                {formatWaypointLabel(waypointIdxs[legIdx])} →{" "}
+                {formatWaypointLabel(waypointIdxs[legIdx + 1])}
+              </li>
+            ) : null,
+            ...leg.Steps.map((step, stepIdx) => {
+              elapsed += step.DurationSeconds;
+              const [distance, unit] = formatDistance(
+                step.Distance,
+                summary.DistanceUnit
+              );
+              const isHighlighted =
+                context.highlightedStep?.legIdx === legIdx &&
+                context.highlightedStep?.stepIdx === stepIdx;
+
+              return (
+                <li
+                  key={`step-${legIdx}-${stepIdx}`}
+                  className={`flex text-sm py-1 px-1 rounded-md cursor-pointer ${
+                    isHighlighted ? "bg-gray-200" : ""
+                  }`}
+                  onMouseEnter={() => highlightStep({ legIdx, stepIdx })}
+                  onClick={() => highlightStep({ legIdx, stepIdx })}
+                >
+                  <p className="w-1/2">{formatManeuver(leg, stepIdx)}</p>
+                  <p className="w-1/4 text-gray-500 flex justify-end">
+                    {distance} {unit}
+                  </p>
+                  <p className="w-1/4 text-gray-500 flex justify-end">
+                    {formatTime(elapsed)}
+                  </p>
+                </li>
+              );
+            }),
+          ])}
+        </ol>
+      ) : null}
+    </div>
+  );
+};
+
+export default Steps;
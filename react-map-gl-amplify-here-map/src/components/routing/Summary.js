@@ -3,35 +3,12 @@
 
 import { useContext } from "react";
 import { AppContext, RoutingModesEnum } from "../../AppContext";
-
-// Helper function to format time
-const formatTime = (seconds) => {
-  const hrs = Math.floor(seconds / 3600);
-  const min = Math.floor((seconds % 3600) / 60);
-  const sec = Math.floor(seconds % 60);
-
-  const roundedMin = sec > 30 ? min + 1 : min;
-
-  return `${hrs > 0 ? hrs + " hr " : ""}${roundedMin} min`;
-};
-
-// Helper function to format distance
-const formatDistance = (distance, unit) => {
-  const system = unit === "Kilometers" ? "metric" : "imperial";
-
-  let formattedDistance = distance;
-  let formattedUnit;
-  if (distance < 1) {
-    formattedDistance = distance * 1000;
-    formattedUnit = system === "metric" ? "m" : "ft";
-  } else {
-    formattedUnit = system === "metric" ? "km" : "mi";
-  }
-  formattedDistance =
-    Math.round((formattedDistance + Number.EPSILON) * 100) / 100;
-
-  return [formattedDistance, formattedUnit];
-};
+import {
+  formatDistance,
+  formatTime,
+  formatWaypointLabel,
+  getWaypointIdxs,
+} from "../../utils";
 
 // Component: Summary - displays summary of route
 const Summary = ({ data }) => {
@@ -46,6 +23,8 @@ const Summary = ({ data }) => {
   const [formattedDistance, formattedUnit] = formatDistance(distance, unit);
   const action =
     context.routingMode === RoutingModesEnum.WALKING ? "Walk" : "Drive";
+  const legs = context.route.Legs || [];
+  const waypointIdxs = getWaypointIdxs(context.markers);
 
   return (
     <div className="py-1">
@@ -58,6 +37,25 @@ const Summary = ({ data }) => {
           {formattedDistance} {formattedUnit}
         </p>
       </div>
+      {/* Per-leg totals, when there are stops */}
+      {legs.length > 1
+        ? legs.map((leg, idx) => {
+            const [legDistance, legUnit] = formatDistance(leg.Distance, unit);
+
+            return (
+              <div key={idx} className="flex text-sm">
+                <p className="w-1/2">
+                  {formatWaypointLabel(waypointIdxs[idx])} →{" "}
+                  {formatWaypointLabel(waypointIdxs[idx + 1])}:{" "}
+                  {formatTime(leg.DurationSeconds)}
+                </p>
+                <p className="w-1/2 text-gray-500 flex justify-end">
+                  {legDistance} {legUnit}
+                </p>
+              </div>
+            );
+          })
+        : null}
     </div>
   );
 };
@@ -0,0 +1,293 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import {
+  formatAddress,
+  formatDistance,
+  formatManeuver,
+  formatTime,
+  formatWaypointLabel,
+  getStepCoordinates,
+  getWaypointIdxs,
+} from "./utils";
+
+// Helper function to collect the parts of a route that are exported (same for every format)
+const getRouteExport = (route, markers) => {
+  const { Summary: summary, Legs: legs } = route;
+  const unit = summary.DistanceUnit;
+
+  // Legs connect the markers that are set, labeled by their position in the list
+  const waypoints = getWaypointIdxs(markers).map((idx) => ({
+    label: formatWaypointLabel(idx),
+    name: formatAddress(markers[idx]),
+    position: markers[idx].geometry.point,
+  }));
+
+  return {
+    name: waypoints.map(({ label }) => label).join(" → "),
+    distance: summary.Distance,
+    durationSeconds: summary.DurationSeconds,
+    unit,
+    bbox: summary.RouteBBox,
+    waypoints,
+    legs: legs.map((leg, legIdx) => ({
+      name: `${waypoints[legIdx].label} → ${waypoints[legIdx + 1].label}`,
+      distance: leg.Distance,
+      durationSeconds: leg.DurationSeconds,
+      // Fall back to the step positions when the route has no leg geometry
+      coordinates:
+        leg.Geometry?.LineString ||
+        leg.Steps.map((step, stepIdx) =>
+          getStepCoordinates(leg, stepIdx)
+        ).flat(),
+      steps: leg.Steps.map((step, stepIdx) => ({
+        instruction: formatManeuver(leg, stepIdx),
+        distance: step.Distance,
+        durationSeconds: step.DurationSeconds,
+        position: step.StartPosition,
+      })),
+      end: leg.EndPosition,
+    })),
+  };
+};
+
+// Helper function to describe the distance and duration, e.g. "12.3 km, 25 min"
+const formatDescription = ({ distance, durationSeconds }, unit) =>
+  `${formatDistance(distance, unit).join(" ")}, ${formatTime(durationSeconds)}`;
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// Helper function to export a route as a GeoJSON FeatureCollection
+const toGeoJSON = (route, markers) => {
+  const { name, distance, durationSeconds, unit, bbox, waypoints, legs } =
+    getRouteExport(route, markers);
+
+  return JSON.stringify(
+    {
+      type: "FeatureCollection",
+      bbox,
+      // Foreign member with the totals of the route
+      properties: { name, distance, distanceUnit: unit, durationSeconds },
+      features: [
+        ...waypoints.map(({ label, name, position }) => ({
+          type: "Feature",
+          geometry: { type: "Point", coordinates: position },
+          properties: { type: "waypoint", label, name },
+        })),
+        ...legs.map((leg, legIdx) => ({
+          type: "Feature",
+          geometry: { type: "LineString", coordinates: leg.coordinates },
+          properties: {
+            type: "leg",
+            legIndex: legIdx,
+            name: leg.name,
+            distance: leg.distance,
+            distanceUnit: unit,
+            durationSeconds: leg.durationSeconds,
+          },
+        })),
+        ...legs.flatMap((leg, legIdx) =>
+          leg.steps.map((step, stepIdx) => ({
+            type: "Feature",
+            geometry: { type: "Point", coordinates: step.position },
+            properties: {
+              type: "step",
+              legIndex: legIdx,
+              stepIndex: stepIdx,
+              instruction: step.instruction,
+              distance: step.distance,
+              distanceUnit: unit,
+              durationSeconds: step.durationSeconds,
+            },
+          }))
+        ),
+      ],
+    },
+    null,
+    2
+  );
+};
+
+// Helper function to export a route as GPX 1.1, with waypoints, a route (of step points) and a track for each leg
+const toGPX = (route, markers) => {
+  const exported = getRouteExport(route, markers);
+  const { name, unit, bbox, waypoints, legs } = exported;
+  const point = (tag, [lon, lat], children = "") =>
+    `<${tag} lat="${lat}" lon="${lon}">${children}</${tag}>`;
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="Amazon Location Service" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `  <metadata>`,
+    `    <name>${escapeXml(name)}</name>`,
+    `    <desc>${escapeXml(formatDescription(exported, unit))}</desc>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    `    <bounds minlat="${bbox[1]}" minlon="${bbox[0]}" maxlat="${bbox[3]}" maxlon="${bbox[2]}"/>`,
+    `  </metadata>`,
+    ...waypoints.map(
+      ({ label, name, position }) =>
+        `  ${point(
+          "wpt",
+          position,
+          `<name>${escapeXml(label)}</name><desc>${escapeXml(name)}</desc>`
+        )}`
+    ),
+    ...legs.map((leg, legIdx) =>
+      [
+        `  <rte>`,
+        `    <name>${escapeXml(leg.name)}</name>`,
+        `    <desc>${escapeXml(formatDescription(leg, unit))}</desc>`,
+        `    <number>${legIdx + 1}</number>`,
+        ...leg.steps.map(
+          (step) =>
+            `    ${point(
+              "rtept",
+              step.position,
+              `<name>${escapeXml(step.instruction)}</name><desc>${escapeXml(
+                formatDescription(step, unit)
+              )}</desc>`
+            )}`
+        ),
+        `    ${point(
+          "rtept",
+          leg.end,
+          `<name>${escapeXml(
+            `Arrive at ${waypoints[legIdx + 1].label}`
+          )}</name>`
+        )}`,
+        `  </rte>`,
+      ].join("\n")
+    ),
+    ...legs.map((leg, legIdx) =>
+      [
+        `  <trk>`,
+        `    <name>${escapeXml(leg.name)}</name>`,
+        `    <desc>${escapeXml(formatDescription(leg, unit))}</desc>`,
+        `    <number>${legIdx + 1}</number>`,
+        `    <trkseg>`,
+        ...leg.coordinates.map(
+          (position) => `      ${point("trkpt", position)}`
+        ),
+        `    </trkseg>`,
+        `  </trk>`,
+      ].join("\n")
+    ),
+    `</gpx>`,
+    "",
+  ].join("\n");
+};
+
+// Helper function to export a route as KML 2.2, with the distance and duration as extended data
+const toKML = (route, markers) => {
+  const exported = getRouteExport(route, markers);
+  const { name, unit, waypoints, legs } = exported;
+  const extendedData = ({ distance, durationSeconds }) =>
+    `<ExtendedData><Data name="distance"><value>${distance}</value></Data><Data name="distanceUnit"><value>${unit}</value></Data><Data name="durationSeconds"><value>${durationSeconds}</value></Data></ExtendedData>`;
+  const coordinates = (positions) =>
+    positions.map((position) => position.join(",")).join(" ");
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<kml xmlns="http://www.opengis.net/kml/2.2">`,
+    `  <Document>`,
+    `    <name>${escapeXml(name)}</name>`,
+    `    <description>${escapeXml(
+      formatDescription(exported, unit)
+    )}</description>`,
+    `    <Style id="route"><LineStyle><color>ffb6215b</color><width>5</width></LineStyle></Style>`,
+    `    ${extendedData(exported)}`,
+    `    <Folder>`,
+    `      <name>Waypoints</name>`,
+    ...waypoints.map(
+      ({ label, name, position }) =>
+        `      <Placemark><name>${escapeXml(
+          label
+        )}</name><description>${escapeXml(
+          name
+        )}</description><Point><coordinates>${coordinates([
+          position,
+        ])}</coordinates></Point></Placemark>`
+    ),
+    `    </Folder>`,
+    `    <Folder>`,
+    `      <name>Legs</name>`,
+    ...legs.map(
+      (leg) =>
+        `      <Placemark><name>${escapeXml(
+          leg.name
+        )}</name><description>${escapeXml(
+          formatDescription(leg, unit)
+        )}</description><styleUrl>#route</styleUrl>${extendedData(
+          leg
+        )}<LineString><tessellate>1</tessellate><coordinates>${coordinates(
+          leg.coordinates
+        )}</coordinates></LineString></Placemark>`
+    ),
+    `    </Folder>`,
+    `    <Folder>`,
+    `      <name>Steps</name>`,
+    ...legs.flatMap((leg) =>
+      leg.steps.map(
+        (step) =>
+          `      <Placemark><name>${escapeXml(
+            step.instruction
+          )}</name><description>${escapeXml(
+            formatDescription(step, unit)
+          )}</description>${extendedData(
+            step
+          )}<Point><coordinates>${coordinates([
+            step.position,
+          ])}</coordinates></Point></Placemark>`
+      )
+    ),
+    `    </Folder>`,
+    `  </Document>`,
+    `</kml>`,
+    "",
+  ].join("\n");
+};
+
+const EXPORT_FORMATS = Object.freeze({
+  GPX: Object.freeze({
+    label: "GPX",
+    extension: "gpx",
+    type: "application/gpx+xml",
+    serialize: toGPX,
+  }),
+  KML: Object.freeze({
+    label: "KML",
+    extension: "kml",
+    type: "application/vnd.google-earth.kml+xml",
+    serialize: toKML,
+  }),
+  GEOJSON: Object.freeze({
+    label: "GeoJSON",
+    extension: "geojson",
+    type: "application/geo+json",
+    serialize: toGeoJSON,
+  }),
+});
+
+// Helper function to download the route in one of the export formats
+const downloadRoute = (format, route, markers) => {
+  const { extension, type, serialize } = format;
+  const url = URL.createObjectURL(
+    new Blob([serialize(route, markers)], { type })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `route.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser time to start the download before releasing the file
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export { downloadRoute, EXPORT_FORMATS, toGeoJSON, toGPX, toKML };
@@ -39,6 +39,10 @@ const useAmazonLocationService = () => {
         DestinationPosition: waypoints[waypoints.length - 1],
         IncludeLegGeometry: includeLegGeometry,
       };
+      // Every waypoint between the first and the last is a stop
+      if (waypoints.length > 2) {
+        commandInput["WaypointPositions"] = waypoints.slice(1, -1);
+      }
       // Set options based on travel mode
       if (travelMode === "Car") {
         commandInput["CarModeOptions"] = carOptions;
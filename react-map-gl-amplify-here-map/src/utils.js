@@ -0,0 +1,364 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import {
+  defaultState,
+  MAX_STOPS,
+  RoutingModesEnum,
+  UnitsEnum,
+} from "./AppContext";
+
+// Helper function to check whether a marker has a position (rather than being a placeholder)
+const hasPosition = (marker) =>
+  marker !== undefined && marker !== null && marker.geometry !== undefined;
+
+// Helper function to get the position in the list of the markers that are set,
+// which are the waypoints connected by the legs of the route (empty stops are skipped)
+const getWaypointIdxs = (markers) =>
+  markers
+    .map((marker, idx) => (hasPosition(marker) ? idx : -1))
+    .filter((idx) => idx !== -1);
+
+// Helper function to label waypoints A, B, C, ...
+const formatWaypointLabel = (idx) => String.fromCharCode(65 + idx);
+
+// Helper function to format address
+const formatAddress = ({
+  label,
+  street,
+  addressNumber,
+  postalCode,
+  municipality,
+}) => {
+  if (label) {
+    return label;
+  }
+  const address = [];
+  if (street !== undefined) address.push(street);
+  if (addressNumber !== undefined) address.push(addressNumber);
+  if (postalCode !== undefined) address.push(postalCode);
+  if (municipality !== undefined) address.push(municipality);
+
+  return address.join(", ");
+};
+
+// Helper function to format time
+const formatTime = (seconds) => {
+  const hrs = Math.floor(seconds / 3600);
+  const min = Math.floor((seconds % 3600) / 60);
+  const sec = Math.floor(seconds % 60);
+
+  const roundedMin = sec > 30 ? min + 1 : min;
+
+  return `${hrs > 0 ? hrs + " hr " : ""}${roundedMin} min`;
+};
+
+// Helper function to format distance
+const formatDistance = (distance, unit) => {
+  const system = unit === "Kilometers" ? "metric" : "imperial";
+
+  let formattedDistance = distance;
+  let formattedUnit;
+  if (distance < 1) {
+    // 1 km = 1000 m, 1 mi = 5280 ft
+    formattedDistance = distance * (system === "metric" ? 1000 : 5280);
+    formattedUnit = system === "metric" ? "m" : "ft";
+  } else {
+    formattedUnit = system === "metric" ? "km" : "mi";
+  }
+  formattedDistance =
+    Math.round((formattedDistance + Number.EPSILON) * 100) / 100;
+
+  return [formattedDistance, formattedUnit];
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Helper function to get the initial bearing (0-360, clockwise from north) from one position to another
+const getBearing = ([lng1, lat1], [lng2, lat2]) => {
+  const dLng = toRadians(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(toRadians(lat2));
+  const x =
+    Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+    Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLng);
+
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+// Helper function to get the coordinates of a step, falling back to a straight line when the leg has no geometry
+const getStepCoordinates = (leg, stepIdx) => {
+  const step = leg.Steps[stepIdx];
+  const line = leg.Geometry?.LineString;
+  if (line === undefined || step.GeometryOffset === undefined) {
+    return [step.StartPosition, step.EndPosition];
+  }
+  const nextStep = leg.Steps[stepIdx + 1];
+  const end =
+    nextStep?.GeometryOffset !== undefined
+      ? nextStep.GeometryOffset + 1
+      : line.length;
+
+  return line.slice(step.GeometryOffset, end);
+};
+
+// Helper function to get the bounding box of a list of coordinates
+const getBBox = (coordinates) => {
+  const lngs = coordinates.map(([lng]) => lng);
+  const lats = coordinates.map(([, lat]) => lat);
+
+  return [
+    Math.min(...lngs),
+    Math.min(...lats),
+    Math.max(...lngs),
+    Math.max(...lats),
+  ];
+};
+
+const isSamePosition = ([lng1, lat1], [lng2, lat2]) =>
+  lng1 === lng2 && lat1 === lat2;
+
+// Helper function to get the first segment of a line that has a length, so its bearing can be calculated
+const getFirstSegment = (coordinates) => {
+  const end = coordinates.find(
+    (position) => !isSamePosition(position, coordinates[0])
+  );
+  return end === undefined ? null : [coordinates[0], end];
+};
+
+const getLastSegment = (coordinates) => {
+  const segment = getFirstSegment([...coordinates].reverse());
+  return segment === null ? null : segment.reverse();
+};
+
+const CARDINAL_DIRECTIONS = [
+  "north",
+  "northeast",
+  "east",
+  "southeast",
+  "south",
+  "southwest",
+  "west",
+  "northwest",
+];
+
+// Helper function to describe the maneuver at the start of a step
+// (steps don't include instructions, so they're derived from the change in bearing)
+const formatManeuver = (leg, stepIdx) => {
+  const outgoing = getFirstSegment(getStepCoordinates(leg, stepIdx));
+  if (outgoing === null) {
+    return "Continue";
+  }
+  const bearing = getBearing(...outgoing);
+
+  const incoming =
+    stepIdx > 0 ? getLastSegment(getStepCoordinates(leg, stepIdx - 1)) : null;
+  if (incoming === null) {
+    return `Head ${CARDINAL_DIRECTIONS[Math.round(bearing / 45) % 8]}`;
+  }
+
+  // Angle of the turn, between -180 (left) and 180 (right)
+  const angle = ((bearing - getBearing(...incoming) + 540) % 360) - 180;
+  const side = angle < 0 ? "left" : "right";
+  if (Math.abs(angle) < 20) {
+    return "Continue straight";
+  } else if (Math.abs(angle) < 45) {
+    return `Bear ${side}`;
+  } else if (Math.abs(angle) < 135) {
+    return `Turn ${side}`;
+  } else if (Math.abs(angle) < 170) {
+    return `Make a sharp ${side}`;
+  }
+
+  return "Make a U-turn";
+};
+
+// Helper function to round coordinates to 6 decimals (~10 cm), to keep the URL short
+const roundCoordinate = (coordinate) => Math.round(coordinate * 1e6) / 1e6;
+
+// Helper function to serialize the routing state into a URL hash (without the leading #)
+// e.g. waypoints=-123.1,49.28;;-122.33,47.6&mode=Car&options={...}&units=metric
+const serializeRoutingState = ({
+  markers,
+  routingMode,
+  carOptions,
+  truckOptions,
+  departureTime,
+  units,
+}) => {
+  if (!markers.some(hasPosition)) {
+    return "";
+  }
+  const params = new URLSearchParams();
+  // Stops that haven't been set yet are kept as empty entries
+  params.set(
+    "waypoints",
+    markers
+      .map((marker) =>
+        hasPosition(marker)
+          ? marker.geometry.point.map(roundCoordinate).join(",")
+          : ""
+      )
+      .join(";")
+  );
+  params.set("mode", routingMode);
+  if (routingMode === RoutingModesEnum.CAR) {
+    params.set("options", JSON.stringify(carOptions));
+  } else if (routingMode === RoutingModesEnum.TRUCK) {
+    params.set("options", JSON.stringify(truckOptions));
+  }
+  if (departureTime !== null) {
+    params.set("departure", departureTime.toISOString());
+  }
+  params.set("units", units);
+
+  return params.toString();
+};
+
+// Helper function to parse a position, returning null if it isn't valid
+const parsePosition = (value) => {
+  const position = value.split(",").map(Number);
+  if (
+    position.length !== 2 ||
+    !position.every(Number.isFinite) ||
+    Math.abs(position[0]) > 180 ||
+    Math.abs(position[1]) > 90
+  ) {
+    return null;
+  }
+  return position;
+};
+
+// Fields of the truck specs in the routing options, with the units each can be given in
+const TRUCK_SPECS = {
+  Dimensions: {
+    fields: ["Height", "Length", "Width"],
+    units: Object.values(UnitsEnum).map(({ dimensions }) => dimensions),
+  },
+  Weight: {
+    fields: ["Total"],
+    units: Object.values(UnitsEnum).map(({ weight }) => weight),
+  },
+};
+
+// Helper function to parse a truck spec (dimensions or weight), returning null if any of its fields is invalid
+const parseTruckSpec = (spec, { fields, units }) => {
+  if (spec === null || typeof spec !== "object" || Array.isArray(spec)) {
+    return null;
+  }
+  const parsed = {};
+  for (const field of fields) {
+    if (field in spec) {
+      const value = spec[field];
+      if (!Number.isFinite(value) || value < 0) {
+        return null;
+      }
+      parsed[field] = value;
+    }
+  }
+  if ("Unit" in spec) {
+    if (!units.includes(spec.Unit)) {
+      return null;
+    }
+    parsed.Unit = spec.Unit;
+  }
+  return parsed;
+};
+
+// Helper function to parse the options of a routing mode, keeping only known options on top of the defaults
+const parseOptions = (value, defaults) => {
+  let options;
+  try {
+    options = JSON.parse(value);
+  } catch (error) {
+    return defaults;
+  }
+  if (options === null || typeof options !== "object") {
+    return defaults;
+  }
+  const parsed = { ...defaults };
+  Object.keys(defaults).forEach((key) => {
+    if (key in TRUCK_SPECS) {
+      const spec = parseTruckSpec(options[key], TRUCK_SPECS[key]);
+      if (spec !== null) {
+        parsed[key] = spec;
+      }
+    } else if (typeof options[key] === typeof defaults[key]) {
+      parsed[key] = options[key];
+    }
+  });
+  return parsed;
+};
+
+// Helper function to parse the routing state from a URL hash, returning null if there's no route in it
+const parseRoutingState = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  if (!params.has("waypoints")) {
+    return null;
+  }
+  const positions = params.get("waypoints").split(";").map(parsePosition);
+  // There's always an origin and a destination, even if they're not set
+  while (positions.length < 2) {
+    positions.push(null);
+  }
+  // Stops over the limit are dropped, as CalculateRoute would reject the route
+  if (positions.length > MAX_STOPS + 2) {
+    positions.splice(MAX_STOPS + 1, positions.length - MAX_STOPS - 2);
+  }
+  if (!positions.some((position) => position !== null)) {
+    return null;
+  }
+
+  const routingMode = Object.values(RoutingModesEnum).includes(
+    params.get("mode")
+  )
+    ? params.get("mode")
+    : defaultState.routingMode;
+  const units = Object.values(UnitsEnum).some(
+    ({ value }) => value === params.get("units")
+  )
+    ? params.get("units")
+    : defaultState.units;
+
+  // Options are only kept for the current routing mode
+  let carOptions = defaultState.carOptions;
+  let truckOptions = {
+    ...defaultState.truckOptions,
+    Dimensions: {},
+    Weight: {},
+  };
+  if (params.has("options") && routingMode === RoutingModesEnum.CAR) {
+    carOptions = parseOptions(params.get("options"), carOptions);
+  } else if (params.has("options") && routingMode === RoutingModesEnum.TRUCK) {
+    truckOptions = parseOptions(params.get("options"), truckOptions);
+  }
+
+  // A departure time in the past can't be used anymore, so it becomes "Leave Now"
+  let departureTime = defaultState.departureTime;
+  const departure = new Date(params.get("departure"));
+  if (params.has("departure") && departure.getTime() > Date.now()) {
+    departureTime = departure;
+  }
+
+  return {
+    positions,
+    routingMode,
+    carOptions,
+    truckOptions,
+    departureTime,
+    units,
+  };
+};
+
+export {
+  formatAddress,
+  formatDistance,
+  formatManeuver,
+  formatTime,
+  formatWaypointLabel,
+  getBBox,
+  getStepCoordinates,
+  getWaypointIdxs,
+  hasPosition,
+  parseRoutingState,
+  serializeRoutingState,
+};